@@ -11,13 +11,21 @@ const compression = require('compression');
 const cors = require('cors');
 
 const AppError = require('./utils/appError');
+const payments = require('./utils/payments');
 const globalErrorHandler = require('./controllers/errorController');
 const tourRouter = require('./routes/tourRoutes');
 const userRouter = require('./routes/userRoutes');
 const reviewRouter = require('./routes/reviewRoutes');
 const bookingRouter = require('./routes/bookingRoutes');
-const bookingController = require('./controllers/bookingController');
+const couponRouter = require('./routes/couponRoutes');
+const exchangeRateRouter = require('./routes/exchangeRateRoutes');
+const webhookController = require('./controllers/webhookController');
+const webhookEventRouter = require('./routes/webhookEventRoutes');
+const loginThrottleRouter = require('./routes/loginThrottleRoutes');
+const apiKeyRouter = require('./routes/apiKeyRoutes');
+const auditLogRouter = require('./routes/auditLogRoutes');
 const viewRouter = require('./routes/viewRoutes');
+const fakeCheckoutRouter = require('./routes/fakeCheckoutRoutes');
 
 const app = express();
 
@@ -62,7 +70,7 @@ app.use('/api', limiter); // apply limiter to all requests (that contain /api in
 app.post(
   '/webhook-checkout',
   express.raw({ type: 'application/json' }),
-  bookingController.webhookCheckout
+  webhookController.webhookCheckout
 );
 
 // Body parser, reading data from body into req.body
@@ -86,6 +94,7 @@ app.use(
       'maxGroupSize',
       'difficulty',
       'price',
+      'status',
     ], // array of properties for which we allow duplicates in the query string
   })
 );
@@ -113,10 +122,18 @@ app.use((req, res, next) => {
 // 3) ROUTES
 // mounting the routers (using middleware)
 app.use('/', viewRouter);
+// local checkout pages that stand in for Stripe in development and tests
+if (payments.name === 'fake') app.use('/fake-checkout', fakeCheckoutRouter);
 app.use('/api/v1/tours', tourRouter);
 app.use('/api/v1/users', userRouter);
 app.use('/api/v1/reviews', reviewRouter);
 app.use('/api/v1/bookings', bookingRouter);
+app.use('/api/v1/coupons', couponRouter);
+app.use('/api/v1/exchange-rates', exchangeRateRouter);
+app.use('/api/v1/webhook-events', webhookEventRouter);
+app.use('/api/v1/login-throttles', loginThrottleRouter);
+app.use('/api/v1/api-keys', apiKeyRouter);
+app.use('/api/v1/audit-logs', auditLogRouter);
 
 // route handler function to catch when a url endpoint has not been defined
 // middleware occues in order it is defined, so this only gets executed one all other routes have been run (and are not found)
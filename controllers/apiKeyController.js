@@ -0,0 +1,53 @@
+const ApiKey = require('../models/apiKeyModel');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const policy = require('../utils/policy');
+
+exports.getMyApiKeys = catchAsync(async (req, res, next) => {
+  const apiKeys = await ApiKey.findActiveFor(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: apiKeys.length,
+    data: {
+      data: apiKeys,
+    },
+  });
+});
+
+// the key itself is only in this response, it can't be shown again
+exports.createApiKey = catchAsync(async (req, res, next) => {
+  const { apiKey, key } = await ApiKey.issue(req.user, {
+    name: req.body.name,
+    scopes: req.body.scopes,
+    rateLimit: req.body.rateLimit,
+    expiresAt: req.body.expiresAt,
+  });
+  apiKey.secret = undefined;
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      data: apiKey,
+      key,
+    },
+  });
+});
+
+// users revoke their own keys, admins any key
+exports.revokeApiKey = catchAsync(async (req, res, next) => {
+  const filter = await policy.filterFor(req.user, 'ApiKey', 'delete');
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { ...filter, _id: req.params.id, revokedAt: null },
+    { revokedAt: Date.now() },
+    { new: true }
+  );
+  if (!apiKey) {
+    return next(new AppError('No API key found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
@@ -0,0 +1,6 @@
+const AuditLog = require('../models/auditLogModel');
+const factory = require('./handlerFactory');
+
+// eg. ?impersonator=<id> for everything an admin did as other users
+exports.getAllAuditLogs = factory.getAll(AuditLog);
+exports.getAuditLog = factory.getOne(AuditLog);
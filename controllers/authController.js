@@ -2,47 +2,290 @@ const crypto = require('crypto');
 const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const LoginThrottle = require('../models/loginThrottleModel');
+const ApiKey = require('../models/apiKeyModel');
+const AuditLog = require('../models/auditLogModel');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const Email = require('../utils/email');
+const baseUrl = require('../utils/baseUrl');
+const oidc = require('../utils/oidc');
+const policy = require('../utils/policy');
+const emailVerificationController = require('./emailVerificationController');
+
+// while an admin impersonates a user, their own refresh token is kept in this cookie
+const IMPERSONATOR_COOKIE = 'impersonatorRefreshToken';
+const IMPERSONATION_HOURS = 1;
+
+// access tokens are short-lived, the session's refresh token keeps the user logged in
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+// days a session lasts since it was last used
+const SESSION_EXPIRES_IN = process.env.SESSION_EXPIRES_IN * 1 || 30;
+
+// the first login step of users with two-factor authentication only gets this token
+const TWO_FACTOR_PURPOSE = 'two-factor';
+const TWO_FACTOR_EXPIRES_MINUTES = 5;
+const signTwoFactorToken = (id) =>
+  jwt.sign({ id, purpose: TWO_FACTOR_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: `${TWO_FACTOR_EXPIRES_MINUTES}m`,
+  });
+// after logging in with a provider the token waits in a cookie, not in the URL
+const TWO_FACTOR_COOKIE = 'twoFactorToken';
 
-const signToken = (id) => {
-  return jwt.sign({ id: id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+const signToken = (id, sessionId) => {
+  return jwt.sign({ id: id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
   });
 };
 
-const createAndSendToken = (user, statusCode, req, res) => {
-  const token = signToken(user._id);
-  res.cookie('jwt', token, {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-    ), // covert 90 days to milliseconds
+const sendTokenCookies = (req, res, token, refreshToken, session) => {
+  const cookieOptions = {
+    expires: session.expiresAt,
     httpOnly: true, // cookie cannot be accessed or modified in any way in the browser (prevent cross-site scripting attacks)
     secure: req.secure || req.headers['x-forwarded-proto'] === 'https', // uses https
+  };
+  res.cookie('jwt', token, cookieOptions);
+  res.cookie('refreshToken', refreshToken, cookieOptions);
+  // the rest of this request sees the cookies the browser has from now on
+  req.cookies.jwt = token;
+  req.cookies.refreshToken = refreshToken;
+};
+
+const clearTokenCookies = (res) => {
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
   });
+  res.clearCookie('refreshToken');
+  res.clearCookie(IMPERSONATOR_COOKIE);
+};
+
+// starts a new session (ie. logs the user in on this device) and sets its cookies
+// sessionFields: eg. { twoFactor: true } when logged in with a two-factor code
+const startSession = async (
+  user,
+  req,
+  res,
+  sessionFields,
+  days = SESSION_EXPIRES_IN
+) => {
+  const { session, refreshToken } = await Session.start(
+    user,
+    req,
+    days,
+    sessionFields
+  );
+  const token = signToken(user._id, session.id);
+  sendTokenCookies(req, res, token, refreshToken, session);
+  return { session, token, refreshToken };
+};
+
+const createAndSendToken = async (
+  user,
+  statusCode,
+  req,
+  res,
+  sessionFields
+) => {
+  const { token, refreshToken } = await startSession(
+    user,
+    req,
+    res,
+    sessionFields
+  );
 
   user.password = undefined; // removes password from the output
+  user.passwordHistory = undefined;
 
   res.status(statusCode).json({
     status: 'success',
     token,
+    refreshToken,
     data: {
       user,
     },
   });
 };
 
+// swaps a refresh token for new tokens, throws if the session has ended
+const refreshTokens = async (req, res, refreshToken) => {
+  const rotated = await Session.rotate(refreshToken, req, SESSION_EXPIRES_IN);
+  if (!rotated) {
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+
+  const user = await User.findById(rotated.session.user);
+  if (!user) {
+    throw new AppError(
+      'The user belonging to this token no longer exists',
+      401
+    );
+  }
+
+  const token = signToken(user._id, rotated.session.id);
+  sendTokenCookies(req, res, token, rotated.refreshToken, rotated.session);
+  return {
+    user,
+    session: rotated.session,
+    token,
+    refreshToken: rotated.refreshToken,
+  };
+};
+
+const tokenExpired = (token) => {
+  const decoded = jwt.decode(token);
+  return !decoded || !decoded.exp || decoded.exp * 1000 <= Date.now();
+};
+
+// finds the user of a request made with an API key (X-API-Key header)
+const authenticateApiKey = async (req, res) => {
+  const result = await ApiKey.authenticate(req.get('x-api-key'), req.ip);
+  if (!result) {
+    throw new AppError(
+      'Invalid API key. Please check it has not been revoked or expired',
+      401
+    );
+  }
+
+  const { apiKey, retryAfter } = result;
+  if (retryAfter) {
+    res.set('Retry-After', retryAfter);
+    throw new AppError(
+      `Too many requests with this API key. Please try again in ${retryAfter} second(s).`,
+      429
+    );
+  }
+  if (!apiKey.allows(req)) {
+    throw new AppError(
+      'This API key does not have the scope for this request',
+      403
+    );
+  }
+
+  // keys stop working when their user loses the role that could create them
+  const user = await User.findById(apiKey.user);
+  if (!user || !policy.can(user, 'ApiKey', 'use')) {
+    throw new AppError(
+      'The user belonging to this API key can no longer use it',
+      401
+    );
+  }
+
+  return { user, apiKey };
+};
+
+// Finds the user and session of a request. Browsers whose access token has
+// expired get new tokens with their refresh cookie.
+const authenticate = async (req, res) => {
+  if (req.get('x-api-key')) return authenticateApiKey(req, res);
+
+  // 1) Getting token and check if it exists
+  let token;
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    token = req.headers.authorization.split(' ')[1];
+  } else {
+    if (
+      req.cookies.refreshToken &&
+      (!req.cookies.jwt || tokenExpired(req.cookies.jwt))
+    ) {
+      return refreshTokens(req, res, req.cookies.refreshToken);
+    }
+    token = req.cookies.jwt;
+  }
+
+  if (!token) {
+    throw new AppError(
+      'You are not logged in. Please log in to get access',
+      401
+    );
+  }
+  // 2) Verification token (check that token has not been altered)
+  const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+
+  // 3) Check that the session has not been revoked or expired
+  const session = await Session.findActive(decoded.sid);
+  if (!session) {
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+
+  // 4) Check if user still exists
+  const currentUser = await User.findById(decoded.id);
+  if (!currentUser) {
+    throw new AppError(
+      'The user belonging to this token no longer exists',
+      401
+    );
+  }
+
+  // 5) Check if user changed password after the token was issued
+  if (currentUser.changedPasswordAfter(decoded.iat)) {
+    throw new AppError(
+      'User recently changed password! Please log in again',
+      401
+    );
+  }
+
+  await session.touch(req);
+  return { user: currentUser, session };
+};
+
+// ends all sessions of the user and starts a new one, eg. after a password change
+const restartSessions = async (user, reason, req, res) => {
+  await Session.revoke({ user: user._id }, reason);
+  await createAndSendToken(user, 200, req, res);
+};
+
 exports.signup = catchAsync(async (req, res, next) => {
   // only stores data we need, prevents people from creating new fields (like admin roles etc)
-  const newUser = await User.create(req.body);
-  const url = `${req.protocol}://${req.get('host')}/me`;
-  await new Email(newUser, url).sendWelcome();
+  const newUser = await User.create({
+    name: req.body.name,
+    email: req.body.email,
+    password: req.body.password,
+    passwordConfirm: req.body.passwordConfirm,
+  });
+  // the welcome email has the link to confirm the address
+  await emailVerificationController.sendWelcomeEmail(newUser);
 
   // provide token with payload id, secret for verify signiture, and when token should expire
-  createAndSendToken(newUser, 201, req, res);
+  await createAndSendToken(newUser, 201, req, res);
 });
 
+// error for a login that has to wait after failed attempts, null if it can go ahead
+const checkLoginThrottle = async (email, req, res) => {
+  const retryAfter = await LoginThrottle.retryAfter(email, req.ip);
+  if (!retryAfter) return null;
+
+  const wait =
+    retryAfter < 60
+      ? `${retryAfter} second(s)`
+      : `${Math.ceil(retryAfter / 60)} minute(s)`;
+  res.set('Retry-After', retryAfter);
+  return new AppError(
+    `Too many failed login attempts. Please try again in ${wait}.`,
+    429
+  );
+};
+
+// counts a failed login, and tells the owner when it locked their account
+const failLogin = async (email, user, req) => {
+  const { throttle, lockedOut } = await LoginThrottle.fail(email, req.ip);
+  if (!lockedOut || !user) return;
+
+  // the login fails either way, so errors are only logged
+  try {
+    await new Email(user, `${baseUrl()}/login`).sendLoginLockout(
+      throttle.lockedUntil,
+      req.ip
+    );
+  } catch (err) {
+    console.log('ERROR', err);
+  }
+};
+
 exports.login = catchAsync(async (req, res, next) => {
   const { email, password } = req.body; // destructure fields
 
@@ -51,92 +294,409 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide email and password!', 400));
   }
 
-  // 2) Check if user exists && password is correct
+  // 2) Check the account or IP isn't waiting after too many failed attempts
+  const throttled = await checkLoginThrottle(email, req, res);
+  if (throttled) return next(throttled);
+
+  // 3) Check if user exists && password is correct
   // user exists
   const user = await User.findOne({ email }).select('+password'); // since we deselcted password in schema, we reselect it here
 
   // compare inputted password and actual password (after decrypting actual for comparison purposes)
-  if (!user || !(await user.correctPassword(password, user.password))) {
+  // (users who signed up with an identity provider may have no password)
+  if (
+    !user ||
+    !user.password ||
+    !(await user.correctPassword(password, user.password))
+  ) {
+    await failLogin(email, user, req);
     return next(new AppError('Incorrect email or password', 401));
   }
 
-  // 3) If everything okay, send token to client
-  createAndSendToken(user, 200, req, res);
+  // 4) Users with two-factor authentication need to send a code first
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      twoFactorToken: signTwoFactorToken(user._id),
+    });
+  }
+
+  // 5) If everything okay, send token to client (failures only start over
+  // once the second factor is done too)
+  await LoginThrottle.succeed(email);
+  await createAndSendToken(user, 200, req, res);
 });
 
-exports.logout = (req, res) => {
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
+// second login step, with a code from the authenticator app or a recovery code
+exports.loginTwoFactor = catchAsync(async (req, res, next) => {
+  const { code, recoveryCode } = req.body;
+  const twoFactorToken =
+    req.body.twoFactorToken || req.cookies[TWO_FACTOR_COOKIE];
+  if (!twoFactorToken || (!code && !recoveryCode)) {
+    return next(
+      new AppError('Please provide your login token and a code!', 400)
+    );
+  }
+
+  // 1) Check the token from the first step
+  const decoded = await promisify(jwt.verify)(
+    twoFactorToken,
+    process.env.JWT_SECRET
+  );
+  if (decoded.purpose !== TWO_FACTOR_PURPOSE) {
+    return next(new AppError('Invalid token. Please login again!', 401));
+  }
+
+  // 2) Check the code
+  const user = await User.findById(decoded.id).select(
+    '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes'
+  );
+  if (!user || !user.twoFactor.enabled) {
+    return next(new AppError('Invalid token. Please login again!', 401));
+  }
+  // guessing codes counts towards the same lockout as guessing passwords
+  const throttled = await checkLoginThrottle(user.email, req, res);
+  if (throttled) return next(throttled);
+
+  if (!user.checkSecondFactor({ code, recoveryCode })) {
+    await failLogin(user.email, user, req);
+    return next(new AppError('Incorrect code', 401));
+  }
+  await user.save({ validateBeforeSave: false });
+  await LoginThrottle.succeed(user.email);
+
+  // 3) Log the user in
+  res.clearCookie(TWO_FACTOR_COOKIE);
+  await createAndSendToken(user, 200, req, res, { twoFactor: true });
+});
+
+// the checks of a login at an identity provider, kept in a signed cookie until the user comes back
+const OIDC_COOKIE = 'oidc';
+const OIDC_COOKIE_EXPIRES_MINUTES = 10;
+
+// 1) Send the user to the identity provider to log in
+exports.oidcLogin = catchAsync(async (req, res, next) => {
+  const { provider } = req.params;
+  const authorization = await oidc.authorizationUrl(provider);
+  if (!authorization) {
+    return next(new AppError('There is no login with that provider.', 404));
+  }
+
+  const checks = jwt.sign(
+    { provider, ...authorization.checks },
+    process.env.JWT_SECRET,
+    { expiresIn: `${OIDC_COOKIE_EXPIRES_MINUTES}m` }
+  );
+  res.cookie(OIDC_COOKIE, checks, {
+    expires: new Date(Date.now() + OIDC_COOKIE_EXPIRES_MINUTES * 60 * 1000),
     httpOnly: true,
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    sameSite: 'lax', // sent along when the provider redirects back
   });
-  res.status(200).json({ status: 'success' });
-};
+  res.redirect(authorization.url);
+});
 
-// preventing access to routes unless user is logged in
-exports.protect = catchAsync(async (req, res, next) => {
-  // 1) Getting token and check if it exists
-  let token;
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.jwt) {
-    token = req.cookies.jwt;
-  }
+// Finds the user of an identity. Identities that are new are linked to the
+// account with the same (verified) email, or get a new account.
+const findOrCreateOidcUser = async (provider, profile) => {
+  // 1) Logged in with this identity before
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider, subject: profile.subject } },
+  });
+  if (user) return user;
 
-  if (!token) {
-    return next(
-      new AppError('You are not logged in. Please log in to get access', 401)
+  // 2) Only addresses the provider has verified can be trusted
+  if (!profile.email || !profile.emailVerified) {
+    throw new AppError(
+      'Your account at this provider has no verified email address.',
+      401
     );
   }
-  // 2) Verification token (check that token has not been altered)
-  const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+  const identity = { provider, subject: profile.subject, email: profile.email };
+
+  // 3) Link it to the account with the same address
+  user = await User.findOne({ email: profile.email.toLowerCase() });
+  if (user) {
+    // anyone could have signed up with an address that was never confirmed
+    if (!user.emailVerified) {
+      throw new AppError(
+        'There is an account with this email address, but the address was never confirmed. Please log in with your password and confirm it first.',
+        409
+      );
+    }
+    user.identities.push(identity);
+    await user.save({ validateBeforeSave: false });
+    return user;
+  }
 
-  // 3) Check if user still exists
-  const currentUser = await User.findById(decoded.id);
-  if (!currentUser) {
-    return next(
-      new AppError('The user belonging to this token no longer exists', 401)
+  // 4) Or sign them up
+  return User.create({
+    name: profile.name || profile.email.split('@')[0],
+    email: profile.email,
+    emailVerified: true,
+    identities: [identity],
+  });
+};
+
+// 2) The identity provider sends the user back here
+exports.oidcCallback = catchAsync(async (req, res, next) => {
+  const { provider } = req.params;
+
+  // 1) Check the login was started on this device
+  let checks;
+  try {
+    checks = await promisify(jwt.verify)(
+      req.cookies[OIDC_COOKIE],
+      process.env.JWT_SECRET
     );
+  } catch (err) {
+    checks = {};
+  }
+  res.clearCookie(OIDC_COOKIE);
+  if (checks.provider !== provider) {
+    return next(new AppError('Your login has expired. Please try again.', 400));
   }
 
-  // 4) Check if user changed password after the token was issued
-  if (currentUser.changedPasswordAfter(decoded.iat)) {
+  // 2) Get the user's profile from the provider
+  let profile;
+  try {
+    profile = await oidc.callback(provider, req, checks);
+  } catch (err) {
+    return next(new AppError(`Logging in failed: ${err.message}`, 401));
+  }
+  if (!profile) {
+    return next(new AppError('There is no login with that provider.', 404));
+  }
+
+  // 3) Find or create the user, and log them in like with a password
+  const user = await findOrCreateOidcUser(provider, profile);
+  if (user.twoFactor.enabled) {
+    res.cookie(TWO_FACTOR_COOKIE, signTwoFactorToken(user._id), {
+      expires: new Date(Date.now() + TWO_FACTOR_EXPIRES_MINUTES * 60 * 1000),
+      httpOnly: true,
+      secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+      sameSite: 'lax',
+    });
+    return res.redirect('/login');
+  }
+  await startSession(user, req, res);
+  res.redirect('/');
+});
+
+// ends the session of this device
+exports.logout = catchAsync(async (req, res, next) => {
+  const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+  if (refreshToken) await Session.end(refreshToken, 'logged out');
+  // logging out while impersonating also logs the admin out
+  if (req.cookies[IMPERSONATOR_COOKIE]) {
+    await Session.end(req.cookies[IMPERSONATOR_COOKIE], 'logged out');
+  }
+
+  clearTokenCookies(res);
+  res.status(200).json({ status: 'success' });
+});
+
+// ends every session of the user, including this one
+exports.logoutEverywhere = catchAsync(async (req, res, next) => {
+  await Session.revoke({ user: req.user.id }, 'logged out everywhere');
+
+  clearTokenCookies(res);
+  res.status(200).json({ status: 'success' });
+});
+
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.findActiveFor(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      current: req.currentSession.id,
+      sessions,
+    },
+  });
+});
+
+exports.revokeMySession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+  if (!session) {
+    return next(new AppError('No session found with that ID', 404));
+  }
+
+  await Session.revoke({ _id: session.id }, 'revoked by the user');
+  if (session.id === req.currentSession.id) clearTokenCookies(res);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// for API clients, browsers are refreshed by protect and isLoggedIn
+exports.refresh = catchAsync(async (req, res, next) => {
+  const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+  if (!refreshToken) {
+    return next(new AppError('Please provide a refresh token.', 400));
+  }
+
+  const { token, refreshToken: newRefreshToken } = await refreshTokens(
+    req,
+    res,
+    refreshToken
+  );
+
+  res.status(200).json({
+    status: 'success',
+    token,
+    refreshToken: newRefreshToken,
+  });
+});
+
+// Lets an admin see the site as a user, in a short session of the user's that
+// the admin can't use to change the password, pay etc. (notWhileImpersonating)
+exports.startImpersonating = catchAsync(async (req, res, next) => {
+  if (req.impersonator) {
+    return next(new AppError('You are already impersonating a user', 400));
+  }
+  if (!req.body.reason) {
     return next(
-      new AppError('User recently changed password! Please log in again', 401)
+      new AppError('Please provide a reason for impersonating the user', 400)
     );
   }
 
+  // 1) Get the user, admins can't be impersonated
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError('No user found with that ID', 404));
+  }
+  if (policy.can(user, 'User', 'impersonate')) {
+    return next(new AppError('Admins cannot be impersonated', 403));
+  }
+
+  // 2) Keep the admin's own session to go back to
+  if (req.cookies.refreshToken) {
+    res.cookie(IMPERSONATOR_COOKIE, req.cookies.refreshToken, {
+      expires: req.currentSession.expiresAt,
+      httpOnly: true,
+      secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    });
+  }
+
+  // 3) Start the user's session, the admin already confirmed their second factor
+  const { session, token, refreshToken } = await startSession(
+    user,
+    req,
+    res,
+    { impersonator: req.user._id, twoFactor: true },
+    IMPERSONATION_HOURS / 24
+  );
+
+  await AuditLog.create({
+    event: 'impersonation-started',
+    impersonator: req.user._id,
+    user: user._id,
+    session: session._id,
+    reason: req.body.reason,
+    ip: req.ip,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    token,
+    refreshToken,
+    data: {
+      user,
+    },
+  });
+});
+
+// ends the impersonation and, in the browser, goes back to the admin's session
+exports.stopImpersonating = catchAsync(async (req, res, next) => {
+  if (!req.impersonator) {
+    return next(new AppError('You are not impersonating a user', 400));
+  }
+
+  await Session.revoke(
+    { _id: req.currentSession._id },
+    'stopped impersonating'
+  );
+  await AuditLog.create({
+    event: 'impersonation-stopped',
+    impersonator: req.impersonator._id,
+    user: req.user._id,
+    session: req.currentSession._id,
+    ip: req.ip,
+  });
+
+  const impersonatorRefreshToken = req.cookies[IMPERSONATOR_COOKIE];
+  res.clearCookie(IMPERSONATOR_COOKIE);
+  if (impersonatorRefreshToken) {
+    try {
+      const { user } = await refreshTokens(req, res, impersonatorRefreshToken);
+      return res.status(200).json({ status: 'success', data: { user } });
+    } catch (err) {
+      // the admin's session ended in the meantime, they have to log in again
+    }
+  }
+
+  clearTokenCookies(res);
+  res.status(200).json({ status: 'success' });
+});
+
+// In a session where an admin impersonates the user, finds the admin and logs
+// the request with both identities once it is done
+const auditImpersonation = async (req, res, user, session) => {
+  if (!session || !session.impersonator) return;
+
+  const impersonator = await User.findById(session.impersonator);
+  if (!policy.can(impersonator, 'User', 'impersonate')) {
+    await Session.revoke({ _id: session._id }, 'impersonator not allowed');
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+  req.impersonator = impersonator;
+  res.locals.impersonator = impersonator; // for the banner
+
+  res.on('finish', () => {
+    AuditLog.create({
+      event: 'request',
+      impersonator: impersonator._id,
+      user: user._id,
+      session: session._id,
+      method: req.method,
+      url: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+    }).catch((err) => console.log('ERROR', err));
+  });
+};
+
+// preventing access to routes unless user is logged in
+exports.protect = catchAsync(async (req, res, next) => {
+  const { user, session, apiKey } = await authenticate(req, res);
+  await auditImpersonation(req, res, user, session);
+
   // GRANT ACCESS TO PROTECTED ROUTE
-  req.user = currentUser;
-  res.locals.user = currentUser;
+  req.user = user;
+  req.currentSession = session;
+  req.apiKey = apiKey;
+  res.locals.user = user;
   next();
 });
 
 // Only for rendered pages, no errors!
 exports.isLoggedIn = async (req, res, next) => {
-  if (req.cookies.jwt) {
+  if (req.cookies.jwt || req.cookies.refreshToken) {
     try {
-      // 1) verify token
-      const decoded = await promisify(jwt.verify)(
-        req.cookies.jwt,
-        process.env.JWT_SECRET
-      );
-
-      // 2) check if user still exists
-      const currentUser = await User.findById(decoded.id);
-      if (!currentUser) {
-        return next();
-      }
-
-      // 3) check if user changed password after token was issued
-      if (currentUser.changedPasswordAfter(decoded.iat)) {
-        return next();
-      }
+      const { user, session } = await authenticate(req, res);
+      await auditImpersonation(req, res, user, session);
 
       // THERE IS A LOGGED IN USER
-      res.locals.user = currentUser; // pass to pug templates
+      req.currentSession = session;
+      res.locals.user = user; // pass to pug templates
       return next();
     } catch (err) {
       return next();
@@ -146,19 +706,71 @@ exports.isLoggedIn = async (req, res, next) => {
 };
 
 // wrapper function allows us to 'pass' arguments into middleware function. Can't pass args directly to middleware function
-exports.restrictTo = (...roles) => {
+// Checks the user's role may do the action to the model at all (utils/policy),
+// handlers check which documents they may do it to. Without an action, it
+// follows from the request method, eg. GET is read.
+const METHOD_ACTIONS = {
+  GET: 'read',
+  HEAD: 'read',
+  POST: 'create',
+  PATCH: 'update',
+  PUT: 'update',
+  DELETE: 'delete',
+};
+
+exports.authorize = (model, action) => {
   return (req, res, next) => {
-    // roles is an array: ['admin', 'lead-guide']
-    if (!roles.includes(req.user.role)) {
+    // eg. authorize('Tour', 'update')
+    if (!policy.can(req.user, model, action || METHOD_ACTIONS[req.method])) {
       // since we run protect middleware first, the user is stored in currentUser now
       return next(
         new AppError('You do not have permission to perform this action', 403)
       );
     }
+
+    // privileged roles can only be used in sessions logged in with a second
+    // factor (API keys can only be created in such a session)
+    if (
+      req.user.requiresTwoFactor() &&
+      !req.apiKey &&
+      !req.currentSession.twoFactor
+    ) {
+      return next(
+        new AppError(
+          req.user.twoFactor.enabled
+            ? 'Please log in again with your two-factor code to perform this action'
+            : 'Please set up two-factor authentication on your account to perform this action',
+          403
+        )
+      );
+    }
     next();
   };
 };
 
+// eg. changing the password or paying, which only the user may do themselves
+exports.notWhileImpersonating = (req, res, next) => {
+  if (req.impersonator) {
+    return next(
+      new AppError('You cannot do this while impersonating a user', 403)
+    );
+  }
+  next();
+};
+
+// booking and reviewing need a confirmed email address
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(
+      new AppError(
+        'Please confirm your email address first. You can get a new link on your account page.',
+        403
+      )
+    );
+  }
+  next();
+};
+
 exports.forgotPassword = catchAsync(async (req, res, next) => {
   // 1) Get user based on POSTed email
   const user = await User.findOne({ email: req.body.email });
@@ -205,7 +817,7 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   const user = await User.findOne({
     passwordResetToken: hashedToken,
     passwordResetExpires: { $gt: Date.now() },
-  });
+  }).select('+passwordHistory'); // the new password can't be a previous one
 
   // 2) If token has not expired, and there is user, set the new password
   if (!user) {
@@ -218,16 +830,27 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   await user.save(); // must use save and not update so that validators will run
   // 3) Update changedPasswordAt property for the user
   // in middleware of user model
-  // 4) Log the user in, send JWT
-  createAndSendToken(user, 200, req, res);
+  // 4) Log the user out everywhere else and in here, send JWT
+  await restartSessions(user, 'password reset', req, res);
 });
 
 exports.updatePassword = catchAsync(async (req, res, next) => {
   // 1) Get user from collection
-  const user = await User.findById(req.user.id).select('password');
+  const user = await User.findById(req.user.id).select(
+    '+password +passwordHistory'
+  );
 
   // 2) Check if POSTed password is correct
-  if (!user.correctPassword(req.body.passwordCurrent, user.password)) {
+  // (users who log in with a provider set their first password with forgotPassword)
+  if (!user.password) {
+    return next(
+      new AppError(
+        'Your account has no password yet. Please use "Forgot password" to set one.',
+        400
+      )
+    );
+  }
+  if (!(await user.correctPassword(req.body.passwordCurrent, user.password))) {
     return next(new AppError('Your current password is wrong.', 400));
   }
 
@@ -236,6 +859,6 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   user.passwordConfirm = req.body.passwordConfirm;
   await user.save();
 
-  // 4) Log user in, sendJWT
-  createAndSendToken(user, 200, req, res);
+  // 4) Log user out everywhere else and in here, send JWT
+  await restartSessions(user, 'password changed', req, res);
 });
@@ -1,49 +1,199 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Tour = require('../models/tourModel');
-const User = require('../models/userModel');
 const Booking = require('../models/bookingModel');
+const Departure = require('../models/departureModel');
+const Waitlist = require('../models/waitlistModel');
 const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const payments = require('../utils/payments');
+const currency = require('../utils/currency');
 const factory = require('./handlerFactory');
+const waitlistController = require('./waitlistController');
+const couponController = require('./couponController');
+const invoiceController = require('./invoiceController');
+const currencyController = require('./currencyController');
+
+// how long seats stay reserved for an unpaid checkout (Stripe's minimum is 30 minutes)
+const CHECKOUT_HOLD_MINUTES = 30;
+// the session is sent with a little longer, so latency or clock skew don't put
+// it under Stripe's minimum
+const CHECKOUT_EXPIRY_MARGIN_MINUTES = 1;
+
+// Takes the seats for a checkout and returns the number of participants, and
+// the waitlist entry they come from. Seats offered from the waitlist are
+// already held, otherwise new ones are held.
+const reserveSeats = async (req, departure) => {
+  if (req.body.waitlist) {
+    const entry = await Waitlist.claimOffer(
+      req.body.waitlist,
+      req.user.id,
+      departure.id
+    );
+    if (!entry) {
+      throw new AppError('This waitlist offer is invalid or has expired.', 400);
+    }
+    return { participants: entry.participants, waitlistEntry: entry.id };
+  }
+
+  // check the number of travellers against the seats left
+  const participants = req.body.participants * 1 || 1;
+  if (!Number.isInteger(participants) || participants < 1) {
+    throw new AppError(
+      'The number of participants must be a whole number.',
+      400
+    );
+  }
+  if (departure.soldOut) {
+    throw new AppError(
+      'This departure is sold out. Please choose another date or join the waitlist.',
+      400
+    );
+  }
+  if (participants > departure.seatsRemaining) {
+    throw new AppError(
+      `Only ${departure.seatsRemaining} seats left on this departure.`,
+      400
+    );
+  }
+
+  const held = await Departure.holdSeats(departure.id, participants);
+  if (!held) {
+    // someone else took the seats between the check above and now
+    throw new AppError(
+      'There are not enough seats left on this departure. Please choose another date.',
+      400
+    );
+  }
+  return { participants };
+};
+
+// Gives back the seats held for a checkout that was not paid. Seats from a
+// waitlist offer stay with the offer while it is valid, others go back on sale.
+const releaseCheckout = async (departureId, participants, waitlistEntry) => {
+  if (waitlistEntry && (await Waitlist.returnOffer(waitlistEntry))) return;
+  await Departure.releaseHold(departureId, participants);
+  await waitlistController.offerFreedSeats(departureId);
+};
 
 exports.getCheckoutSession = catchAsync(async (req, res, next) => {
-  // 1) Get the currently booked tour
+  // 1) Get the currently booked tour and departure
   const tour = await Tour.findById(req.params.tourId);
+  if (!tour) {
+    return next(new AppError('There is no tour with that ID.', 404));
+  }
 
-  // 2) Create checkout session
-  const session = await stripe.checkout.sessions.create({
-    payment_method_types: ['card'],
-    // success_url: `${req.protocol}://${req.get('host')}/?tour=${
-    //   req.params.tourId
-    // }&user=${req.user.id}&price=${tour.price}`,
-    success_url: `${req.protocol}://${req.get('host')}/my-tours?alert=booking`,
-    cancel_url: `${req.protocol}://${req.get('host')}/tour/${tour.slug}`,
-    customer_email: req.user.email,
-    client_reference_id: req.params.tourId,
-    line_items: [
-      {
-        quantity: 1,
-        price_data: {
-          currency: 'gbp',
-          unit_amount: tour.price,
-          product_data: {
-            name: `${tour.name} Tour`,
-            description: tour.summary,
-            images: [
-              `${req.protocol}://${req.get('host')}/img/tours/${
-                tour.imageCover
-              }`,
-            ],
-          },
-        },
-      },
-    ],
-    mode: 'payment',
+  const departure = await Departure.findOne({
+    _id: req.params.departureId,
+    tour: tour.id,
   });
+  if (!departure) {
+    return next(new AppError('There is no departure with that ID.', 404));
+  }
+  if (departure.startDate < Date.now()) {
+    return next(new AppError('This departure has already started.', 400));
+  }
+  // the account would be erased with the booking still going ahead
+  if (req.user.erasureScheduledFor) {
+    return next(
+      new AppError(
+        'Your account is going to be erased. Cancel this on your account page to book tours.',
+        400
+      )
+    );
+  }
+
+  // 2) Redeem the promo code, if there is one
+  const coupon =
+    req.body.coupon &&
+    (await couponController.redeemCoupon(req.body.coupon, tour, req.user.id));
 
-  // 3) Create session as response
+  let participants;
+  let waitlistEntry;
+  let price;
+  let booking;
+  try {
+    // 3) Reserve the seats until the checkout is paid or expires
+    ({ participants, waitlistEntry } = await reserveSeats(req, departure));
+    price = couponController.priceBooking(
+      tour,
+      participants,
+      coupon,
+      await currencyController.converterFor(req)
+    );
+
+    // 4) Create a pending booking for the checkout to confirm
+    booking = await Booking.create({
+      tour: tour.id,
+      departure: departure.id,
+      user: req.user.id,
+      participants,
+      price: price.total,
+      currency: price.currency,
+      coupon: coupon && coupon.id,
+      couponCode: coupon && coupon.code,
+      discount: price.discount,
+      waitlistEntry,
+      statusHistory: [{ status: 'pending', at: Date.now(), by: req.user.id }],
+    });
+  } catch (err) {
+    // give back the code, and the seats if they were taken
+    if (coupon) await couponController.releaseCoupon(coupon.id, req.user.id);
+    if (participants) {
+      await releaseCheckout(departure.id, participants, waitlistEntry);
+    }
+    throw err;
+  }
+
+  // 5) Create checkout session
+  let session;
+  try {
+    session = await payments.createCheckout({
+      successUrl: `${req.protocol}://${req.get('host')}/my-tours?alert=booking`,
+      cancelUrl: `${req.protocol}://${req.get('host')}/tour/${tour.slug}`,
+      customerEmail: req.user.email,
+      reference: req.params.tourId,
+      metadata: {
+        booking: booking.id,
+        departure: departure.id,
+        participants,
+      },
+      expiresAt:
+        Date.now() +
+        (CHECKOUT_HOLD_MINUTES + CHECKOUT_EXPIRY_MARGIN_MINUTES) * 60 * 1000,
+      currency: price.currency,
+      item: {
+        name: `${tour.name} Tour`,
+        description: `${
+          tour.summary
+        } Departing ${departure.startDate.toDateString()}.`,
+        images: [
+          `${req.protocol}://${req.get('host')}/img/tours/${tour.imageCover}`,
+        ],
+        unitAmount: currency.toMinorUnits(price.unitPrice, price.currency),
+        quantity: participants,
+      },
+      discount: coupon && {
+        name: coupon.code,
+        amount: currency.toMinorUnits(price.discount, price.currency),
+      },
+    });
+  } catch (err) {
+    // don't keep the seat (or the code) if the customer never got to the checkout
+    await Booking.transition(booking.id, 'cancelled', {
+      note: 'Checkout could not be created',
+    });
+    await couponController.releaseCoupon(booking.coupon, booking.user);
+    await releaseCheckout(departure.id, participants, waitlistEntry);
+    throw err;
+  }
+  await Booking.findByIdAndUpdate(booking.id, { checkoutSession: session.id });
+
+  // 6) Send the checkout page to redirect to as response
   res.status(200).json({
     status: 'success',
-    session,
+    session: {
+      id: session.id,
+      url: session.url,
+    },
   });
 });
 
@@ -57,33 +207,246 @@ exports.getCheckoutSession = catchAsync(async (req, res, next) => {
 //   res.redirect(req.originalUrl.split('?')[0]);
 // });
 
-const createBookingCheckout = async (session) => {
-  const tour = session.client_reference_id;
-  const user = (await User.findOne({ email: session.customer_email })).id;
-  const price = session.line_items[0].amount / 100; // display_items
-  await Booking.create({ tour, user, price });
-};
+// Handlers for payment webhook events (see webhookController). They throw on
+// failure so the event is recorded as failed and can be retried.
+
+exports.createBookingCheckout = async (session) => {
+  const { booking: bookingId, departure } = session.metadata;
+  const participants = session.metadata.participants * 1;
 
-exports.webhookCheckout = (req, res, next) => {
-  const signature = req.headers['stripe-signature'];
+  const booking = await Booking.transition(bookingId, 'confirmed', {
+    note: 'Payment received',
+    set: {
+      // total for all participants
+      price: currency.fromMinorUnits(session.amount_total, session.currency),
+      paymentIntent: session.payment_intent,
+    },
+  });
+  if (!booking) {
+    // a retry of an event that failed after the booking was confirmed still
+    // has to finish below
+    const current = await Booking.findById(bookingId);
+    if (!current || current.status !== 'confirmed') {
+      throw new Error(
+        `Booking ${bookingId} cannot be confirmed, its status is ${
+          current ? current.status : 'unknown'
+        }`
+      );
+    }
+  }
 
-  let event;
+  // the seats are only sold once, also when the event is retried
+  const confirmed = await Booking.findOneAndUpdate(
+    { _id: bookingId, status: 'confirmed', seatsConfirmed: { $ne: true } },
+    { seatsConfirmed: true },
+    { new: true, autopopulate: true }
+  );
+  if (!confirmed) return;
   try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      signature,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
+    await Departure.confirmSeats(departure, participants);
   } catch (err) {
-    return res.status(400).send(`Webhook error: ${err.message}`);
+    await Booking.findByIdAndUpdate(bookingId, { seatsConfirmed: false });
+    throw err;
   }
+  if (confirmed.waitlistEntry) {
+    await Waitlist.markBooked(confirmed.waitlistEntry);
+  }
+  await invoiceController.sendBookingConfirmation(confirmed);
+};
 
-  if (event.type === 'checkout.session.completed')
-    createBookingCheckout(event.data.object);
+exports.releaseCheckoutSeats = async (session) => {
+  const { booking: bookingId, departure, participants } = session.metadata;
 
-  res.status(200).json({ received: true });
+  const booking = await Booking.transition(bookingId, 'cancelled', {
+    note: 'Checkout expired',
+  });
+  // only the first expiry of a still pending booking gives the seats (and code) back
+  if (booking) {
+    await couponController.releaseCoupon(
+      booking.coupon,
+      booking.user && booking.user._id
+    );
+    await releaseCheckout(departure, participants * 1, booking.waitlistEntry);
+  }
 };
 
+// refunds made by cancelBooking, or directly with the payment provider
+exports.refundBookingCharge = async (charge) => {
+  const booking = await Booking.findOne({
+    paymentIntent: charge.payment_intent,
+  });
+  if (!booking) {
+    throw new Error(`No booking found for payment ${charge.payment_intent}`);
+  }
+
+  const amount = currency.fromMinorUnits(
+    charge.amount_refunded,
+    booking.currency
+  );
+  // a cancelled booking is refunded by its (possibly partial) refund, any other
+  // booking only when the payment was refunded in full with the provider
+  if (
+    !(booking.status === 'cancelled' && amount > 0) &&
+    !(booking.status === 'confirmed' && charge.refunded)
+  ) {
+    await Booking.findByIdAndUpdate(booking.id, { 'refund.amount': amount });
+    return;
+  }
+
+  const refunded = await Booking.transition(booking.id, 'refunded', {
+    note: 'Refund received by the payment provider',
+    set: { 'refund.amount': amount },
+  });
+  // a confirmed booking still had its seats
+  if (refunded && booking.status === 'confirmed' && booking.departure) {
+    await Departure.releaseSeats(booking.departure, booking.participants);
+    await waitlistController.offerFreedSeats(booking.departure);
+  }
+};
+
+exports.cancelBooking = catchAsync(async (req, res, next) => {
+  // 1) Get the booking, if this user may cancel it
+  const filter = await factory.policyFilter(req, Booking, 'cancel');
+  const booking = await Booking.findOne({ _id: req.params.id, ...filter })
+    .select('+paymentIntent')
+    .setOptions({ autopopulate: true });
+  if (!booking) {
+    return next(await factory.notFound(Booking, req.params.id, filter));
+  }
+  if (booking.status !== 'confirmed') {
+    return next(
+      new AppError(`A ${booking.status} booking cannot be cancelled.`, 400)
+    );
+  }
+  if (booking.departure && booking.departure.startDate < Date.now()) {
+    return next(
+      new AppError(
+        'This tour has already started and cannot be cancelled.',
+        400
+      )
+    );
+  }
+
+  // 2) Work out the refund from the tour's cancellation policy
+  const tour = await Tour.findById(booking.tour.id);
+  const percentage = booking.departure
+    ? tour.refundPercentage(booking.departure.startDate)
+    : 0;
+  const amount = currency.round(
+    (booking.price * percentage) / 100,
+    booking.currency
+  );
+
+  // 3) Mark the booking as cancelled first, so it can never be refunded twice
+  const cancelled = await Booking.transition(booking.id, 'cancelled', {
+    by: req.user.id,
+    note: 'Cancelled by the customer',
+  });
+  if (!cancelled) {
+    return next(new AppError('This booking has already been cancelled.', 400));
+  }
+
+  // 4) Refund the payment
+  let refund;
+  if (amount > 0 && booking.paymentIntent) {
+    try {
+      refund = await payments.refund({
+        paymentIntent: booking.paymentIntent,
+        amount: currency.toMinorUnits(amount, booking.currency),
+      });
+    } catch (err) {
+      // undo the cancellation so the customer can try again
+      await Booking.findByIdAndUpdate(
+        booking.id,
+        { status: 'confirmed', $pop: { statusHistory: 1 } },
+        { statusTransition: true }
+      );
+      return next(
+        new AppError(
+          'There was an error refunding your payment. Please try again later!',
+          500
+        )
+      );
+    }
+  }
+
+  // an update, saving would validate the whole booking (eg. an erased user)
+  const updated = await Booking.findByIdAndUpdate(
+    booking.id,
+    {
+      'refund.percentage': percentage,
+      'refund.amount': amount,
+      'refund.refundId': refund && refund.id,
+    },
+    { new: true, autopopulate: true }
+  );
+
+  // 5) Give the seats back to the departure, and to whoever is waiting for them
+  if (booking.departure) {
+    await Departure.releaseSeats(booking.departure.id, booking.participants);
+    await waitlistController.offerFreedSeats(booking.departure.id);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      booking: updated,
+    },
+  });
+});
+
+exports.updateBookingStatus = catchAsync(async (req, res, next) => {
+  const { status, note } = req.body;
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return next(new AppError('No booking found with that ID', 404));
+  }
+  if (!booking.canTransitionTo(status)) {
+    return next(
+      new AppError(
+        `A ${booking.status} booking cannot be changed to ${status}.`,
+        400
+      )
+    );
+  }
+
+  const updated = await Booking.transition(booking.id, status, {
+    by: req.user.id,
+    note,
+  });
+  if (!updated) {
+    return next(
+      new AppError('The booking was changed in the meantime. Try again!', 400)
+    );
+  }
+
+  // the seats of a booking that is no longer going ahead go back on sale
+  if (booking.departure && ['cancelled', 'refunded'].includes(status)) {
+    if (booking.status === 'confirmed') {
+      await Departure.releaseSeats(booking.departure, booking.participants);
+      await waitlistController.offerFreedSeats(booking.departure);
+    } else if (booking.status === 'pending') {
+      await releaseCheckout(
+        booking.departure,
+        booking.participants,
+        booking.waitlistEntry
+      );
+    }
+  }
+  // a checkout that was never paid doesn't use up the code
+  if (booking.status === 'pending' && status === 'cancelled') {
+    await couponController.releaseCoupon(booking.coupon, booking.user);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      data: updated,
+    },
+  });
+});
+
 exports.createBooking = factory.createOne(Booking);
 exports.getBooking = factory.getOne(Booking);
 exports.getAllBookings = factory.getAll(Booking);
@@ -0,0 +1,119 @@
+const Coupon = require('../models/couponModel');
+const Tour = require('../models/tourModel');
+const Booking = require('../models/bookingModel');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const currency = require('../utils/currency');
+const factory = require('./handlerFactory');
+const currencyController = require('./currencyController');
+
+// Works out what a booking costs in the converter's currency. The tour's
+// priceDiscount is taken off the price of every participant, the coupon off the total.
+exports.priceBooking = (
+  tour,
+  participants,
+  coupon,
+  converter = currency.converter()
+) => {
+  const basePrice = tour.price - (tour.priceDiscount || 0);
+  const unitPrice = converter.convert(basePrice);
+  const subtotal = currency.round(unitPrice * participants, converter.currency);
+  const discount = coupon
+    ? Math.min(
+        converter.convert(coupon.discountFor(basePrice * participants)),
+        subtotal
+      )
+    : 0;
+
+  return {
+    currency: converter.currency,
+    unitPrice,
+    subtotal,
+    discount,
+    total: currency.round(subtotal - discount, converter.currency),
+  };
+};
+
+// returns the coupon with that code if the user can use it on the tour, throws otherwise
+const findCoupon = async (code, tour, user) => {
+  const coupon = await Coupon.findOne({ code: `${code}`.trim().toUpperCase() });
+  if (!coupon) {
+    throw new AppError(`The code ${code} does not exist.`, 404);
+  }
+  coupon.checkFor(tour);
+
+  if (coupon.perUserLimit) {
+    // bookings that are being paid or have been paid, abandoned checkouts don't count
+    const used = await Booking.countDocuments({
+      user,
+      coupon: coupon.id,
+      $or: [{ status: 'pending' }, { 'statusHistory.status': 'confirmed' }],
+    });
+    if (used >= coupon.perUserLimit) {
+      throw new AppError(
+        `You have already used the code ${coupon.code} the maximum number of times.`,
+        400
+      );
+    }
+  }
+
+  return coupon;
+};
+
+// Checks the coupon and counts the redemption for a checkout. Give it back with
+// releaseCoupon if the checkout is never paid.
+exports.redeemCoupon = async (code, tour, user) => {
+  const coupon = await findCoupon(code, tour, user);
+
+  const redeemed = await Coupon.redeem(coupon.id, user);
+  if (!redeemed) {
+    // the last redemption (or the user's last one) was taken between the check and now
+    throw new AppError(
+      `The code ${coupon.code} has been used up, or you have already used it the maximum number of times.`,
+      400
+    );
+  }
+  return redeemed;
+};
+
+exports.releaseCoupon = async (couponId, user) => {
+  if (couponId) await Coupon.release(couponId, user);
+};
+
+// shows the price with a code applied before going to the checkout
+exports.applyCoupon = catchAsync(async (req, res, next) => {
+  const { code, tour: tourId } = req.body;
+  if (!code || !tourId) {
+    return next(new AppError('Please provide a code and a tour.', 400));
+  }
+
+  const participants = req.body.participants * 1 || 1;
+  if (!Number.isInteger(participants) || participants < 1) {
+    return next(
+      new AppError('The number of participants must be a whole number.', 400)
+    );
+  }
+
+  const tour = await Tour.findById(tourId);
+  if (!tour) {
+    return next(new AppError('There is no tour with that ID.', 404));
+  }
+
+  const coupon = await findCoupon(code, tour, req.user.id);
+  const converter = await currencyController.converterFor(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      code: coupon.code,
+      participants,
+      ...exports.priceBooking(tour, participants, coupon, converter),
+    },
+  });
+});
+
+exports.getAllCoupons = factory.getAll(Coupon);
+exports.getCoupon = factory.getOne(Coupon);
+exports.createCoupon = factory.createOne(Coupon);
+exports.updateCoupon = factory.updateOne(Coupon);
+exports.deleteCoupon = factory.deleteOne(Coupon);
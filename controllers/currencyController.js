@@ -0,0 +1,63 @@
+const ExchangeRate = require('../models/exchangeRateModel');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const currency = require('../utils/currency');
+const factory = require('./handlerFactory');
+
+const COOKIE_EXPIRES_DAYS = 365;
+
+// the currency picked on this device wins over the one saved on the account
+exports.preferredCurrency = (req, user) =>
+  req.cookies.currency || (user && user.currency) || currency.base;
+
+// converter for the currency the prices of this request are shown and charged in
+exports.converterFor = (req) =>
+  ExchangeRate.converterFor(exports.preferredCurrency(req, req.user));
+
+// gives templates formatPrice() for prices in the base currency, and the currencies to pick from
+exports.localizePrices = catchAsync(async (req, res, next) => {
+  const preferred = exports
+    .preferredCurrency(req, req.user || res.locals.user)
+    .toUpperCase();
+  const rates = await ExchangeRate.find().sort('currency');
+  const rate = rates.find((el) => el.currency === preferred);
+  const converter = rate
+    ? currency.converter(rate.currency, rate.rate)
+    : currency.converter();
+
+  res.locals.currency = converter.currency;
+  res.locals.currencies = [currency.base, ...rates.map((el) => el.currency)];
+  res.locals.formatPrice = converter.format;
+  // for prices entered in that currency, eg. in the search box
+  res.locals.toBasePrice = (amount) => amount / converter.rate;
+  // for amounts that are already in a currency, eg. what a booking cost
+  res.locals.formatAmount = currency.format;
+  next();
+});
+
+exports.setCurrency = catchAsync(async (req, res, next) => {
+  const code = `${req.body.currency || ''}`.toUpperCase();
+  if (
+    code !== currency.base &&
+    !(await ExchangeRate.exists({ currency: code }))
+  ) {
+    return next(new AppError(`Prices cannot be shown in ${code}.`, 400));
+  }
+
+  res.cookie('currency', code, {
+    expires: new Date(Date.now() + COOKIE_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    httpOnly: true,
+  });
+  res.status(200).json({
+    status: 'success',
+    data: {
+      currency: code,
+    },
+  });
+});
+
+exports.getAllExchangeRates = factory.getAll(ExchangeRate);
+exports.getExchangeRate = factory.getOne(ExchangeRate);
+exports.createExchangeRate = factory.createOne(ExchangeRate);
+exports.updateExchangeRate = factory.updateOne(ExchangeRate);
+exports.deleteExchangeRate = factory.deleteOne(ExchangeRate);
@@ -0,0 +1,91 @@
+const Departure = require('../models/departureModel');
+const Tour = require('../models/tourModel');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const factory = require('./handlerFactory');
+const waitlistController = require('./waitlistController');
+
+const filterObj = (obj, ...allowedFields) => {
+  const newObj = {};
+  Object.keys(obj).forEach((el) => {
+    if (allowedFields.includes(el)) newObj[el] = obj[el];
+  });
+  return newObj;
+};
+
+// Allows nested routes, and defaults the capacity to the tour's group size
+exports.setTourId = catchAsync(async (req, res, next) => {
+  if (!req.body.tour) req.body.tour = req.params.tourId;
+
+  if (!req.body.capacity) {
+    const tour = await Tour.findById(req.body.tour);
+    if (!tour) {
+      return next(new AppError('No tour found with that ID', 404));
+    }
+    req.body.capacity = tour.maxGroupSize;
+  }
+  next();
+});
+
+exports.getAllDepartures = factory.getAll(Departure);
+exports.getDeparture = factory.getOne(Departure);
+exports.createDeparture = factory.createOne(Departure);
+
+exports.updateDeparture = catchAsync(async (req, res, next) => {
+  // the seat counters are only changed by bookings
+  const update = filterObj(req.body, 'capacity', 'startDate');
+  const filter = await factory.policyFilter(req, Departure, 'update');
+  const conditions = {
+    _id: req.params.id,
+    tour: req.params.tourId,
+    ...filter,
+  };
+
+  // the capacity can't go below the seats that are already sold or held
+  if (update.capacity !== undefined) {
+    const capacity = update.capacity * 1;
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      return next(
+        new AppError('The capacity must be a whole number of 1 or more.', 400)
+      );
+    }
+    conditions.$expr = {
+      $lte: [{ $add: ['$seatsSold', '$seatsHeld'] }, capacity],
+    };
+  }
+
+  const departure = await Departure.findOneAndUpdate(conditions, update, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!departure) {
+    const current = await Departure.findOne({
+      _id: req.params.id,
+      tour: req.params.tourId,
+      ...filter,
+    });
+    if (!current) {
+      return next(await factory.notFound(Departure, req.params.id, filter));
+    }
+    return next(
+      new AppError(
+        `The capacity cannot be lower than the ${
+          current.seatsSold + current.seatsHeld
+        } seats that are sold or held.`,
+        400
+      )
+    );
+  }
+
+  // a bigger capacity frees up seats for the waitlist
+  await waitlistController.offerFreedSeats(departure.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      data: departure,
+    },
+  });
+});
+exports.deleteDeparture = factory.deleteOne(Departure);
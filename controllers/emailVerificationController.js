@@ -0,0 +1,105 @@
+const validator = require('validator');
+const User = require('../models/userModel');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const Email = require('../utils/email');
+const baseUrl = require('../utils/baseUrl');
+
+const verificationUrl = (token) => `${baseUrl()}/verify-email/${token}`;
+
+// Welcomes a new user with the link to confirm their address. The account is
+// already created, so errors are only logged: the link can be sent again.
+exports.sendWelcomeEmail = async (user) => {
+  try {
+    const token = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await new Email(user, verificationUrl(token)).sendWelcome();
+  } catch (err) {
+    console.log('ERROR', err);
+  }
+};
+
+// Sends the link to confirm the user's address, or the new address (email)
+// that replaces it. Needs +emailVerificationSentAt selected.
+exports.sendVerificationEmail = async (user, email) => {
+  // 1) Check the new address, it is saved below without the model's validators
+  if (email && !validator.isEmail(email)) {
+    throw new AppError('Please provide a valid email', 400);
+  }
+
+  // 2) Limit how often the link can be sent
+  const wait = user.verificationEmailWait();
+  if (wait) {
+    throw new AppError(
+      `Please wait ${Math.ceil(
+        wait / 60
+      )} minute(s) before requesting another email.`,
+      429
+    );
+  }
+
+  // 3) Generate the random token
+  const token = user.createEmailVerificationToken(email);
+  await user.save({ validateBeforeSave: false });
+
+  // 4) Send it to the address that needs confirming
+  try {
+    await new Email(user, verificationUrl(token)).sendEmailVerification(email);
+  } catch (err) {
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    throw new AppError(
+      'There was an error sending the email. Try again later!',
+      500
+    );
+  }
+};
+
+// Starts changing the address of a user: the email only changes once the new
+// address is confirmed. Returns false if the address didn't change.
+exports.changeEmail = async (user, email) => {
+  const newEmail = `${email || ''}`.toLowerCase();
+  if (!newEmail || newEmail === user.email) return false;
+
+  if (await User.exists({ email: newEmail })) {
+    throw new AppError('That email address is already in use.', 400);
+  }
+
+  const userWithLimits = await User.findById(user.id).select(
+    '+emailVerificationSentAt'
+  );
+  await exports.sendVerificationEmail(userWithLimits, newEmail);
+  return true;
+};
+
+exports.resendVerificationEmail = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    '+emailVerificationSentAt'
+  );
+  if (user.emailVerified && !user.pendingEmail) {
+    return next(new AppError('Your email address is already confirmed.', 400));
+  }
+
+  await exports.sendVerificationEmail(user, user.pendingEmail);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Confirmation link sent to ${user.pendingEmail || user.email}.`,
+  });
+});
+
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const user = await User.verifyEmail(req.params.token);
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired', 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
@@ -0,0 +1,49 @@
+const fakeProvider = require('../utils/payments/fakeProvider');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const currency = require('../utils/currency');
+
+const findOpenSession = (id) => {
+  const session = fakeProvider.getSession(id);
+  if (session && session.status === 'open') return session;
+};
+
+exports.getCheckoutPage = (req, res, next) => {
+  const session = findOpenSession(req.params.id);
+  if (!session) {
+    return next(new AppError('This checkout session has expired.', 404));
+  }
+
+  res.status(200).render('fakeCheckout', {
+    title: 'Checkout',
+    session,
+    // session amounts are in minor units
+    formatAmount: (amount) =>
+      currency.format(
+        currency.fromMinorUnits(amount, session.currency),
+        session.currency
+      ),
+  });
+};
+
+exports.payCheckout = catchAsync(async (req, res, next) => {
+  const session = findOpenSession(req.params.id);
+  if (!session) {
+    return next(new AppError('This checkout session has expired.', 404));
+  }
+
+  // waits for the webhook, so the booking exists by the time we land on the success page
+  await fakeProvider.completeCheckout(session.id);
+  res.redirect(session.success_url);
+});
+
+exports.cancelCheckout = catchAsync(async (req, res, next) => {
+  const session = findOpenSession(req.params.id);
+  if (!session) {
+    return next(new AppError('This checkout session has expired.', 404));
+  }
+
+  // no point keeping the seats until it expires, the customer has left
+  await fakeProvider.expireCheckout(session.id);
+  res.redirect(session.cancel_url);
+});
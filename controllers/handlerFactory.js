@@ -1,13 +1,50 @@
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('../utils/apiFeatures');
+const policy = require('../utils/policy');
+
+// The filter of the documents the user of the request may do the action to,
+// throws if they may not do it at all. It goes into $and, so query parameters
+// (eg. ?user=...) can't replace it.
+const policyFilter = async (req, Model, action) => {
+  const filter = await policy.filterFor(req.user, Model.modelName, action);
+  if (!filter) {
+    throw new AppError(
+      'You do not have permission to perform this action',
+      403
+    );
+  }
+  return Object.keys(filter).length ? { $and: [filter] } : {};
+};
+
+// no document matched: it doesn't exist, or isn't one the user may touch
+const notFound = async (Model, id, filter) =>
+  Object.keys(filter).length && (await Model.exists({ _id: id }))
+    ? new AppError('You do not have permission to perform this action', 403)
+    : new AppError('No document found with that ID', 404);
+
+// for handlers that load documents themselves, eg. to check more than the policy
+exports.policyFilter = policyFilter;
+exports.notFound = notFound;
+
+// Stops the request unless the user may do the action to the document with the
+// ID in the URL. For routes that do work before the handler, eg. image uploads.
+exports.checkAccess = (Model, action) =>
+  catchAsync(async (req, res, next) => {
+    const filter = await policyFilter(req, Model, action);
+    if (!(await Model.exists({ _id: req.params.id, ...filter }))) {
+      return next(await notFound(Model, req.params.id, filter));
+    }
+    next();
+  });
 
 exports.deleteOne = (Model) =>
   catchAsync(async (req, res, next) => {
-    const doc = await Model.findByIdAndDelete(req.params.id);
+    const filter = await policyFilter(req, Model, 'delete');
+    const doc = await Model.findOneAndDelete({ _id: req.params.id, ...filter });
 
     if (!doc) {
-      return next(new AppError('No document found with that ID', 404));
+      return next(await notFound(Model, req.params.id, filter));
     }
 
     res.status(204).json({
@@ -18,13 +55,18 @@ exports.deleteOne = (Model) =>
 
 exports.updateOne = (Model) =>
   catchAsync(async (req, res, next) => {
-    const doc = await Model.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true, // runs validators defined in schema
-    });
+    const filter = await policyFilter(req, Model, 'update');
+    const doc = await Model.findOneAndUpdate(
+      { _id: req.params.id, ...filter },
+      req.body,
+      {
+        new: true,
+        runValidators: true, // runs validators defined in schema
+      }
+    );
 
     if (!doc) {
-      return next(new AppError('No document found with that ID', 404));
+      return next(await notFound(Model, req.params.id, filter));
     }
 
     res.status(200).json({
@@ -37,6 +79,8 @@ exports.updateOne = (Model) =>
 
 exports.createOne = (Model) =>
   catchAsync(async (req, res, next) => {
+    // who may create documents only depends on the role
+    await policyFilter(req, Model, 'create');
     const doc = await Model.create(req.body);
 
     res.status(201).json({
@@ -52,12 +96,16 @@ exports.getOne = (Model, popOptions) =>
     // Tour.findOne({ _id: req.params.id })
     // same as:
     // const tour = await Tour.findById(req.params.id).populate('reviews');
-    let query = Model.findById(req.params.id);
+    const filter = await policyFilter(req, Model, 'read');
+    let { query } = new APIFeatures(
+      Model.findOne({ _id: req.params.id, ...filter }),
+      req.query
+    ).populate();
     if (popOptions) query = query.populate(popOptions);
     const doc = await query;
 
     if (!doc) {
-      return next(new AppError('No doc found with that ID', 404));
+      return next(await notFound(Model, req.params.id, filter));
     }
 
     res.status(200).json({
@@ -71,20 +119,22 @@ exports.getOne = (Model, popOptions) =>
 exports.getAll = (Model) =>
   catchAsync(async (req, res, next) => {
     // To allow for nested GET reviews on tour
-    let filter = {};
-    if (req.params.tourId) filter = { tour: req.params.tourId };
+    let filter = await policyFilter(req, Model, 'read');
+    if (req.params.tourId) filter = { ...filter, tour: req.params.tourId };
 
     const features = new APIFeatures(Model.find(filter), req.query)
       .filter()
       .sort()
       .limitFields()
+      .populate()
       .paginate();
     // const doc = await features.query.explain();
-    const doc = await features.query;
+    const { docs: doc, pagination } = await features.paginated(req.originalUrl);
 
     res.status(200).json({
       status: 'success',
       results: doc.length,
+      pagination,
       data: {
         data: doc,
       },
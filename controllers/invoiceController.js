@@ -0,0 +1,51 @@
+const Booking = require('../models/bookingModel');
+const Invoice = require('../models/invoiceModel');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const Email = require('../utils/email');
+const baseUrl = require('../utils/baseUrl');
+const createInvoicePdf = require('../utils/invoicePdf');
+const factory = require('./handlerFactory');
+
+// Issues the invoice of a paid booking and emails it with the confirmation. The
+// payment has already gone through, so errors are only logged: the invoice is
+// issued again when it is downloaded.
+exports.sendBookingConfirmation = async (booking) => {
+  try {
+    const invoice = await Invoice.issueFor(booking);
+    const pdf = await createInvoicePdf(invoice);
+    await new Email(
+      booking.user,
+      `${baseUrl()}/my-tours`
+    ).sendBookingConfirmation(booking, invoice, pdf);
+  } catch (err) {
+    console.log('ERROR', err);
+  }
+};
+
+exports.getBookingInvoice = catchAsync(async (req, res, next) => {
+  const filter = await factory.policyFilter(req, Booking, 'readInvoice');
+  const booking = await Booking.findOne({
+    _id: req.params.id,
+    ...filter,
+  }).setOptions({ autopopulate: true });
+  if (!booking) {
+    return next(await factory.notFound(Booking, req.params.id, filter));
+  }
+  // only bookings that were paid for have an invoice
+  if (!booking.statusHistory.some((el) => el.status === 'confirmed')) {
+    return next(
+      new AppError(`A ${booking.status} booking has no invoice.`, 400)
+    );
+  }
+
+  const invoice = await Invoice.issueFor(booking);
+  const pdf = await createInvoicePdf(invoice);
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+  });
+  res.send(pdf);
+});
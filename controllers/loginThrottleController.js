@@ -0,0 +1,14 @@
+const LoginThrottle = require('../models/loginThrottleModel');
+const factory = require('./handlerFactory');
+
+// the accounts and IPs that can't log in right now
+exports.aliasLockouts = (req, res, next) => {
+  req.query.lockedUntil = { gt: new Date().toISOString() };
+  req.query.sort = req.query.sort || '-lockedUntil';
+  next();
+};
+
+exports.getAllLoginThrottles = factory.getAll(LoginThrottle);
+exports.getLoginThrottle = factory.getOne(LoginThrottle);
+// clears the failed attempts and lockout, eg. after the owner got in touch
+exports.deleteLoginThrottle = factory.deleteOne(LoginThrottle);
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const User = require('../models/userModel');
+const Booking = require('../models/bookingModel');
+const Review = require('../models/reviewModel');
+const Invoice = require('../models/invoiceModel');
+const Waitlist = require('../models/waitlistModel');
+const Session = require('../models/sessionModel');
+const ApiKey = require('../models/apiKeyModel');
+const LoginThrottle = require('../models/loginThrottleModel');
+const Tour = require('../models/tourModel');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const Email = require('../utils/email');
+const baseUrl = require('../utils/baseUrl');
+const waitlistController = require('./waitlistController');
+
+// days between asking for the account to be erased and erasing it, the user can cancel until then
+const ERASURE_GRACE_DAYS = process.env.ERASURE_GRACE_DAYS * 1 || 14;
+const USER_PHOTOS = `${__dirname}/../public/img/users`;
+
+// every photo the user uploaded, not only the current one
+const userPhotos = async (user) =>
+  (await fs.promises.readdir(USER_PHOTOS)).filter((file) =>
+    file.startsWith(`user-${user._id}-`)
+  );
+
+const paid = (booking) =>
+  booking.statusHistory.some((el) => el.status === 'confirmed');
+
+// bookings of tours that haven't started yet, which are paid or being paid for
+const upcomingBookings = async (user, statuses) =>
+  (
+    await Booking.find({ user, status: { $in: statuses } }).populate({
+      path: 'departure',
+      select: 'startDate',
+    })
+  ).filter((el) => el.departure && el.departure.startDate > Date.now());
+
+// everything we keep about the user, as one JSON file
+exports.exportMyData = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const [bookings, reviews, invoices, waitlist, sessions, photos] =
+    await Promise.all([
+      Booking.find({ user: user._id }).populate([
+        { path: 'tour', select: 'name' },
+        { path: 'departure', select: 'startDate' },
+      ]),
+      Review.find({ user: user._id }).select('+createdAt'),
+      Invoice.find({ user: user._id }),
+      Waitlist.find({ user: user._id }),
+      Session.find({ user: user._id }),
+      userPhotos(user),
+    ]);
+
+  const photoFiles = await Promise.all(
+    photos.map(async (file) => ({
+      filename: file,
+      contentType: 'image/jpeg',
+      data: (
+        await fs.promises.readFile(`${USER_PHOTOS}/${file}`)
+      ).toString('base64'),
+    }))
+  );
+
+  res.attachment(`natours-data-${user._id}.json`);
+  res.status(200).json({
+    status: 'success',
+    data: {
+      exportedAt: new Date(),
+      user,
+      bookings,
+      reviews,
+      invoices,
+      waitlist,
+      sessions,
+      photos: photoFiles,
+    },
+  });
+});
+
+exports.requestErasure = catchAsync(async (req, res, next) => {
+  if (req.user.erasureScheduledFor) {
+    return next(
+      new AppError('Your account is already going to be erased.', 400)
+    );
+  }
+
+  // 1) Upcoming tours have to be cancelled first, so they can be refunded
+  if ((await upcomingBookings(req.user.id, ['confirmed'])).length) {
+    return next(
+      new AppError(
+        'Please cancel your upcoming bookings before deleting your account.',
+        400
+      )
+    );
+  }
+
+  // 2) Erase it after the grace period
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    {
+      erasureScheduledFor:
+        Date.now() + ERASURE_GRACE_DAYS * 24 * 60 * 60 * 1000,
+    },
+    { new: true }
+  );
+
+  // 3) Let the user know how to cancel
+  try {
+    await new Email(user, `${baseUrl()}/me`).sendErasureScheduled(
+      user.erasureScheduledFor
+    );
+  } catch (err) {
+    console.log('ERROR', err);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `Your account will be erased in ${ERASURE_GRACE_DAYS} days. You can cancel this on your account page until then.`,
+    data: {
+      erasureScheduledFor: user.erasureScheduledFor,
+    },
+  });
+});
+
+exports.cancelErasure = catchAsync(async (req, res, next) => {
+  if (!req.user.erasureScheduledFor) {
+    return next(new AppError('Your account is not going to be erased.', 400));
+  }
+
+  await User.findByIdAndUpdate(req.user.id, {
+    $unset: { erasureScheduledFor: 1 },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// Erases the user and their personal data. Reviews stay without the user, and
+// bookings and invoices are only kept the way accounting needs them.
+const erase = async (user) => {
+  const id = user._id;
+
+  // 1) Don't erase anyone who is still going on a tour. Open checkouts are
+  // waited for, and a checkout paid after the erasure was asked for keeps the
+  // account.
+  const upcoming = await upcomingBookings(id, ['pending', 'confirmed']);
+  if (upcoming.some((el) => el.status === 'pending')) return;
+  if (upcoming.length) {
+    await User.findByIdAndUpdate(id, { $unset: { erasureScheduledFor: 1 } });
+    console.log(`Erasure of user ${id} cancelled, they have upcoming bookings`);
+    return;
+  }
+
+  // 2) Issue the invoices of paid bookings that don't have one yet, while the bookings have a user
+  const bookings = await Booking.find({ user: id }).setOptions({
+    autopopulate: true,
+  });
+  await Promise.all(bookings.filter(paid).map((el) => Invoice.issueFor(el)));
+
+  // 3) Give up waitlist places, held seats go to the next in line
+  await waitlistController.removeUser(id);
+
+  // 4) Anonymise what is kept, delete the rest
+  await Promise.all([
+    Review.updateMany({ user: id }, { $unset: { user: 1 } }),
+    Booking.updateMany({ user: id }, { $unset: { user: 1 } }),
+    Invoice.updateMany(
+      { user: id },
+      {
+        'customer.name': 'Erased customer',
+        $unset: { user: 1, 'customer.email': 1 },
+      }
+    ),
+    Tour.updateMany({ guides: id }, { $pull: { guides: id } }),
+    Session.deleteMany({ user: id }),
+    ApiKey.deleteMany({ user: id }),
+    LoginThrottle.deleteOne({ type: 'account', key: user.email }),
+  ]);
+
+  // 5) Photos
+  const photos = await userPhotos(user);
+  await Promise.all(
+    photos.map((file) => fs.promises.unlink(`${USER_PHOTOS}/${file}`))
+  );
+
+  // 6) The account itself
+  await User.deleteOne({ _id: id });
+
+  try {
+    await new Email(user, baseUrl()).sendErasureCompleted();
+  } catch (err) {
+    console.log('ERROR', err);
+  }
+};
+
+// background job
+exports.eraseDueAccounts = async () => {
+  const users = await User.find({ erasureScheduledFor: { $lte: Date.now() } });
+
+  await Promise.all(users.map(erase));
+};
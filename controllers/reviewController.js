@@ -4,7 +4,7 @@ const factory = require('./handlerFactory');
 exports.setTourUserIds = (req, res, next) => {
   // Allows nested routes
   if (!req.body.tour) req.body.tour = req.params.tourId;
-  if (!req.body.user) req.body.user = req.user.id; // from protect middleware
+  req.body.user = req.user.id; // from protect middleware, users can only review as themselves
   next();
 };
 
@@ -3,6 +3,8 @@ const sharp = require('sharp');
 const Tour = require('../models/tourModel');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const APIFeatures = require('../utils/apiFeatures');
+const highlighter = require('../utils/highlight');
 const factory = require('./handlerFactory');
 
 const multerStorage = multer.memoryStorage();
@@ -61,10 +63,48 @@ exports.aliasTopTours = (req, res, next) => {
 };
 
 exports.getAllTours = factory.getAll(Tour);
-exports.getTour = factory.getOne(Tour, {
-  path: 'reviews',
+
+// ?q=forest hike, with the filters of getAllTours (eg. difficulty=easy&price[lte]=1000),
+// sorted by relevance unless ?sort is given
+exports.searchTours = catchAsync(async (req, res, next) => {
+  const text = `${req.query.q || ''}`.trim();
+  if (!text) {
+    return next(
+      new AppError('Please provide something to search for with ?q=', 400)
+    );
+  }
+  if (req.query.cursor !== undefined) {
+    return next(
+      new AppError('Search results can only be paged with ?page.', 400)
+    );
+  }
+
+  const features = new APIFeatures(Tour.search(text), req.query).filter();
+  if (req.query.sort) features.sort();
+  else features.query.sort({ score: { $meta: 'textScore' } });
+  features.limitFields().populate().paginate();
+  const { docs, pagination } = await features.paginated(req.originalUrl);
+
+  // snippets of the fields that matched, for each tour
+  const highlight = highlighter(text);
+
+  res.status(200).json({
+    status: 'success',
+    results: docs.length,
+    pagination,
+    data: {
+      data: docs.map((tour) => ({
+        ...tour.toJSON(),
+        highlights: highlight(tour.searchText()),
+      })),
+    },
+  });
 });
+// reviews, departures and guides with ?populate=reviews,departures,guides
+exports.getTour = factory.getOne(Tour);
 exports.createTour = factory.createOne(Tour);
+// before the images of the update are uploaded
+exports.checkUpdateAccess = factory.checkAccess(Tour, 'update');
 exports.updateTour = factory.updateOne(Tour);
 exports.deleteTour = factory.deleteOne(Tour);
 
@@ -100,6 +140,86 @@ exports.getTourStats = catchAsync(async (req, res, next) => {
   });
 });
 
+// lower bounds of the price (in the base currency) and duration (in days) ranges of the facets
+const PRICE_FACETS = [0, 500, 1000, 1500, 2000];
+const DURATION_FACETS = [1, 4, 8, 15];
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+// anything from the last bound up ends up in 'more'
+const rangesOf = (field, bounds) => [
+  { $bucket: { groupBy: field, boundaries: bounds, default: 'more' } },
+];
+
+const toRanges = (buckets, bounds) =>
+  buckets.map(({ _id, count }) => {
+    const last = _id === 'more';
+    return {
+      min: last ? bounds[bounds.length - 1] : _id,
+      max: last ? null : bounds[bounds.indexOf(_id) + 1],
+      count,
+    };
+  });
+
+// Counts of the tours matching the filters of getAllTours (and ?q of
+// searchTours) by difficulty, price range, duration range, country and start
+// location, eg. for a filter sidebar
+exports.getTourFacets = catchAsync(async (req, res, next) => {
+  const filter = new APIFeatures(Tour.find(), req.query)
+    .filter()
+    .query.getFilter();
+  const text = `${req.query.q || ''}`.trim();
+
+  const [facets] = await Tour.aggregate([
+    {
+      // aggregations don't run the query middleware that hides secret tours
+      $match: {
+        ...(text && { $text: { $search: text } }),
+        ...filter,
+        secretTour: { $ne: true },
+      },
+    },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        difficulty: countBy('$difficulty'),
+        price: rangesOf('$price', PRICE_FACETS),
+        duration: rangesOf('$duration', DURATION_FACETS),
+        // start locations are described as 'City, Country'
+        country: countBy({
+          $trim: {
+            input: {
+              $arrayElemAt: [
+                { $split: ['$startLocation.description', ','] },
+                -1,
+              ],
+            },
+          },
+        }),
+        startLocation: countBy('$startLocation.description'),
+      },
+    },
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      total: facets.total.length ? facets.total[0].count : 0,
+      facets: {
+        difficulty: facets.difficulty,
+        price: toRanges(facets.price, PRICE_FACETS),
+        duration: toRanges(facets.duration, DURATION_FACETS),
+        country: facets.country,
+        startLocation: facets.startLocation,
+      },
+    },
+  });
+});
+
 exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
   const year = req.params.year * 1;
   const plan = await Tour.aggregate([
@@ -0,0 +1,127 @@
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// name shown in the authenticator app
+const ISSUER = 'Natours';
+
+// 1) Create a secret and show it as a QR code to scan with an authenticator app
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    '+twoFactor.pendingSecret'
+  );
+  if (user.twoFactor.enabled) {
+    return next(
+      new AppError('Two-factor authentication is already turned on.', 400)
+    );
+  }
+
+  const secret = user.createTwoFactorSecret();
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    },
+  });
+});
+
+// 2) Turn it on once the first code from the app checks out
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    '+twoFactor.pendingSecret +twoFactor.lastUsedStep'
+  );
+  if (user.twoFactor.enabled) {
+    return next(
+      new AppError('Two-factor authentication is already turned on.', 400)
+    );
+  }
+  if (!user.twoFactor.pendingSecret) {
+    return next(
+      new AppError('Please set up two-factor authentication first.', 400)
+    );
+  }
+  if (!user.checkTwoFactorCode(req.body.code, true)) {
+    return next(new AppError('Incorrect code', 400));
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = Date.now();
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  // the code was just checked, so this session counts as logged in with it
+  await Session.updateOne({ _id: req.currentSession.id }, { twoFactor: true });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes'
+  );
+  if (!user.twoFactor.enabled) {
+    return next(
+      new AppError('Two-factor authentication is not turned on.', 400)
+    );
+  }
+  if (user.requiresTwoFactor()) {
+    return next(
+      new AppError(
+        `Two-factor authentication cannot be turned off for the ${user.role} role.`,
+        403
+      )
+    );
+  }
+  if (!user.checkSecondFactor(req.body)) {
+    return next(new AppError('Incorrect code', 400));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// new recovery codes, eg. when most of them have been used up
+exports.createRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes'
+  );
+  if (!user.twoFactor.enabled) {
+    return next(
+      new AppError('Two-factor authentication is not turned on.', 400)
+    );
+  }
+  if (!user.checkTwoFactorCode(req.body.code)) {
+    return next(new AppError('Incorrect code', 400));
+  }
+
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
@@ -4,6 +4,7 @@ const User = require('../models/userModel');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const factory = require('./handlerFactory');
+const emailVerificationController = require('./emailVerificationController');
 
 // save to disk
 // const multerStorage = multer.diskStorage({
@@ -74,10 +75,18 @@ exports.updateMe = catchAsync(async (req, res, next) => {
   }
 
   // 2) Filtered out unwanted field names that are not allowed to be updated
-  const filteredBody = filterObj(req.body, 'name', 'email');
+  const filteredBody = filterObj(req.body, 'name', 'currency');
   if (req.file) filteredBody.photo = req.file.filename;
+  // the currency picked on this device would override the new account currency
+  if (filteredBody.currency) res.clearCookie('currency');
 
-  // 3) Update user document
+  // 3) A new email address only replaces the old one once it is confirmed
+  const emailChanged = await emailVerificationController.changeEmail(
+    req.user,
+    req.body.email
+  );
+
+  // 4) Update user document
   const updatedUser = await User.findByIdAndUpdate(req.user.id, filteredBody, {
     new: true,
     runValidators: true,
@@ -85,21 +94,15 @@ exports.updateMe = catchAsync(async (req, res, next) => {
 
   res.status(200).json({
     status: 'success',
+    message: emailChanged
+      ? `Please confirm your new email address with the link sent to ${updatedUser.pendingEmail}.`
+      : undefined,
     data: {
       user: updatedUser,
     },
   });
 });
 
-exports.deleteMe = catchAsync(async (req, res, next) => {
-  await User.findByIdAndUpdate(req.user.id, { active: false });
-
-  res.status(204).json({
-    status: 'success',
-    data: null,
-  });
-});
-
 exports.createUser = (req, res) => {
   res.status(500).json({
     status: 'error',
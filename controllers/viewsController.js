@@ -1,54 +1,107 @@
 const Booking = require('../models/bookingModel');
 const Tour = require('../models/tourModel');
 const User = require('../models/userModel');
+const Waitlist = require('../models/waitlistModel');
+const Session = require('../models/sessionModel');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const oidc = require('../utils/oidc');
+const highlighter = require('../utils/highlight');
+const emailVerificationController = require('./emailVerificationController');
 
 exports.alerts = (req, res, next) => {
   const { alert } = req.query;
   if (alert === 'booking')
     res.locals.alert =
-      'Your booking was successful1 Please check your email for a confirmation. If your booking does not show up here immediately, please come back later.';
+      'Your booking was successful! Please check your email for a confirmation. If your booking does not show up here immediately, please come back later.';
+  if (alert === 'email-verified')
+    res.locals.alert = 'Your email address is confirmed. Thank you!';
   next();
 };
 
+// the filters of the search box, prices are entered in the currency they are shown in
+const searchFilter = (query, toBasePrice) => {
+  const filter = {};
+  const price = {};
+  if (query.difficulty) filter.difficulty = `${query.difficulty}`;
+  if (query.minPrice * 1) price.$gte = toBasePrice(query.minPrice * 1);
+  if (query.maxPrice * 1) price.$lte = toBasePrice(query.maxPrice * 1);
+  if (Object.keys(price).length) filter.price = price;
+  if (query.maxDuration * 1) filter.duration = { $lte: query.maxDuration * 1 };
+  return filter;
+};
+
 exports.getOverview = catchAsync(async (req, res, next) => {
-  // 1) Get tour data from collection
-  const tours = await Tour.find();
+  // 1) Get tour data from collection, the ones matching the search box if it was used
+  const text = `${req.query.q || ''}`.trim();
+  const filter = searchFilter(req.query, res.locals.toBasePrice);
+  const tours = text
+    ? await Tour.search(text)
+        .find(filter)
+        .sort({ score: { $meta: 'textScore' } })
+    : await Tour.find(filter);
   // 2) Build template
+  const highlight = highlighter(text);
+  const highlights = {};
+  tours.forEach((tour) => {
+    highlights[tour.id] = highlight(tour.searchText());
+  });
 
   // 3) Render that template using tour data from 1)
 
   res.status(200).render('overview', {
     title: 'All Tours',
     tours,
+    highlights,
+    search: req.query,
   });
 });
 
 exports.getTour = catchAsync(async (req, res, next) => {
-  // 1) get the data, for the requested tour (including reviews and guides)
-  const tour = await Tour.findOne({ slug: req.params.slug }).populate({
-    path: 'reviews',
-    fields: 'review rating user',
-  });
+  // 1) get the data, for the requested tour (including reviews, guides and upcoming departures)
+  const tour = await Tour.findOne({ slug: req.params.slug })
+    .setOptions({ autopopulate: true })
+    .populate({
+      path: 'reviews',
+      fields: 'review rating user',
+      populate: { path: 'user', select: 'name photo' },
+    })
+    .populate({
+      path: 'departures',
+      match: { startDate: { $gte: Date.now() } },
+      options: { sort: { startDate: 1 } },
+    });
 
   if (!tour) {
     return next(new AppError('There is no tour with that name.', 404));
   }
 
-  // 2) Build template
+  // 2) Find the seats held for the user, when they come from a waitlist offer email
+  let waitlistOffer;
+  if (req.query.waitlist && res.locals.user) {
+    waitlistOffer = await Waitlist.findOffer(
+      req.query.waitlist,
+      res.locals.user.id
+    ).populate({ path: 'departure', select: 'startDate' });
+  }
 
   // 3) Render template using data from 1)
 
   res.status(200).render('tour', {
     title: `${tour.name} Tour`,
     tour,
+    waitlistOffer,
+    waitlistToken: req.query.waitlist,
   });
 });
 
 exports.getLoginForm = catchAsync(async (req, res) => {
   res.status(200).render('login', {
     title: 'Log into you account',
+    providers: oidc.providers(),
+    // users with two-factor authentication who logged in with a provider
+    // still need their code (the token is in an httpOnly cookie)
+    twoFactorPending: Boolean(req.cookies.twoFactorToken),
   });
 });
 
@@ -59,8 +112,14 @@ exports.getAccount = (req, res) => {
 };
 
 exports.getMyTours = catchAsync(async (req, res, next) => {
-  // 1) Find all bookings
-  const bookings = await Booking.find({ user: req.user.id });
+  // 1) Find all bookings, by default only the ones going ahead (eg. ?status=cancelled for others)
+  const statuses = req.query.status
+    ? [].concat(req.query.status)
+    : ['confirmed', 'completed'];
+  const bookings = await Booking.find({
+    user: req.user.id,
+    status: { $in: statuses },
+  }).setOptions({ autopopulate: true });
 
   // 2) Find tours with the returned IDs
   const tourIDs = bookings.map((el) => el.tour);
@@ -69,15 +128,28 @@ exports.getMyTours = catchAsync(async (req, res, next) => {
   res.status(200).render('overview', {
     title: 'My Tours',
     tours,
+    bookings,
+  });
+});
+
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.findActiveFor(req.user.id);
+
+  res.status(200).render('sessions', {
+    title: 'Your devices',
+    sessions,
+    currentSessionId: req.currentSession.id,
   });
 });
 
 exports.updateUserData = catchAsync(async (req, res, next) => {
+  // a new email address only replaces the old one once it is confirmed
+  await emailVerificationController.changeEmail(req.user, req.body.email);
+
   const updatedUser = await User.findByIdAndUpdate(
     req.user.id,
     {
       name: req.body.name,
-      email: req.body.email,
     },
     {
       new: true,
@@ -90,3 +162,13 @@ exports.updateUserData = catchAsync(async (req, res, next) => {
     user: updatedUser,
   });
 });
+
+// the link in verification emails
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const user = await User.verifyEmail(req.params.token);
+  if (!user) {
+    return next(new AppError('This link is invalid or has expired.', 400));
+  }
+
+  res.redirect('/?alert=email-verified');
+});
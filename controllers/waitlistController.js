@@ -0,0 +1,227 @@
+const Waitlist = require('../models/waitlistModel');
+const Departure = require('../models/departureModel');
+const Tour = require('../models/tourModel');
+const ExchangeRate = require('../models/exchangeRateModel');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const Email = require('../utils/email');
+const currency = require('../utils/currency');
+const baseUrl = require('../utils/baseUrl');
+const factory = require('./handlerFactory');
+const couponController = require('./couponController');
+
+// how long a waitlist offer holds the seats for
+const OFFER_HOURS = process.env.WAITLIST_OFFER_HOURS * 1 || 24;
+
+// offers seats to the next person in line, returns false when there is nothing (more) to offer
+const offerToNext = async (departureId) => {
+  const entry = await Waitlist.findOne({
+    departure: departureId,
+    status: 'waiting',
+  }).sort('position');
+  if (!entry) return false;
+
+  // the next party in line doesn't fit yet, they keep their place
+  const departure = await Departure.holdSeats(departureId, entry.participants);
+  if (!departure) return false;
+
+  const offerToken = entry.createOfferToken(OFFER_HOURS);
+  const offered = await Waitlist.findOneAndUpdate(
+    { _id: entry.id, status: 'waiting' },
+    {
+      status: 'offered',
+      offerToken: entry.offerToken,
+      offerExpiresAt: entry.offerExpiresAt,
+    },
+    { new: true }
+  );
+  if (!offered) {
+    // someone else got to this entry first
+    await Departure.releaseHold(departureId, entry.participants);
+    return true;
+  }
+
+  try {
+    const tour = await Tour.findById(departure.tour);
+    const url = `${baseUrl()}/tour/${tour.slug}?waitlist=${offerToken}`;
+    const price = couponController.priceBooking(
+      tour,
+      offered.participants,
+      null,
+      await ExchangeRate.converterFor(offered.user.currency)
+    );
+    await new Email(offered.user, url).sendWaitlistOffer(
+      tour,
+      departure,
+      offered,
+      currency.format(price.total, price.currency)
+    );
+  } catch (err) {
+    // the seats stay held until the offer expires, then they move on
+    console.log('ERROR', err);
+  }
+  return true;
+};
+
+// Offers seats that became free on a departure to the people waiting for it, in
+// order. Call it whenever seats are released or the capacity is increased.
+exports.offerFreedSeats = async (departureId) => {
+  if (await offerToNext(departureId)) {
+    await exports.offerFreedSeats(departureId);
+  }
+};
+
+// gives the seats of an offer back and moves on to the next person
+const releaseOffer = async (entry, status) => {
+  const released = await Waitlist.findOneAndUpdate(
+    { _id: entry.id, status: 'offered' },
+    { status },
+    { new: true }
+  );
+  if (!released) return;
+
+  await Departure.releaseHold(entry.departure, entry.participants);
+  await exports.offerFreedSeats(entry.departure);
+};
+
+// background job
+exports.expireOffers = async () => {
+  const expired = await Waitlist.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: Date.now() },
+  });
+
+  await Promise.all(expired.map((entry) => releaseOffer(entry, 'expired')));
+};
+
+// takes a user off every waitlist, eg. when their account is erased
+exports.removeUser = async (userId) => {
+  const offered = await Waitlist.find({ user: userId, status: 'offered' });
+  await Promise.all(offered.map((entry) => releaseOffer(entry, 'removed')));
+  await Waitlist.deleteMany({ user: userId });
+};
+
+exports.joinWaitlist = catchAsync(async (req, res, next) => {
+  const departure = await Departure.findOne({
+    _id: req.params.departureId,
+    tour: req.params.tourId,
+  });
+  if (!departure) {
+    return next(new AppError('There is no departure with that ID.', 404));
+  }
+  if (departure.startDate < Date.now()) {
+    return next(new AppError('This departure has already started.', 400));
+  }
+
+  const participants = req.body.participants * 1 || 1;
+  if (participants <= departure.seatsRemaining) {
+    return next(
+      new AppError(
+        'There are still seats left on this departure. Please book it instead.',
+        400
+      )
+    );
+  }
+
+  const existing = await Waitlist.findOne({
+    departure: departure.id,
+    user: req.user.id,
+    status: { $in: ['waiting', 'offered', 'claimed'] },
+  });
+  if (existing) {
+    return next(
+      new AppError('You are already on the waitlist for this departure.', 400)
+    );
+  }
+
+  const last = await Waitlist.findOne({ departure: departure.id }).sort(
+    '-position'
+  );
+  const entry = await Waitlist.create({
+    tour: departure.tour,
+    departure: departure.id,
+    user: req.user.id,
+    participants,
+    position: last ? last.position + 1 : 1,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      data: entry,
+    },
+  });
+});
+
+exports.getWaitlist = catchAsync(async (req, res, next) => {
+  const filter = { departure: req.params.departureId };
+  if (req.query.status) filter.status = req.query.status;
+
+  const entries = await Waitlist.find(filter).sort('position');
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      data: entries,
+    },
+  });
+});
+
+// admins reorder the waitlist by giving an entry its new position
+exports.moveWaitlistEntry = catchAsync(async (req, res, next) => {
+  const entry = await Waitlist.findOne({
+    _id: req.params.id,
+    departure: req.params.departureId,
+  });
+  if (!entry) {
+    return next(new AppError('No waitlist entry found with that ID', 404));
+  }
+  if (entry.status !== 'waiting') {
+    return next(
+      new AppError(`A ${entry.status} waitlist entry cannot be moved.`, 400)
+    );
+  }
+
+  const position = req.body.position * 1;
+  if (!Number.isInteger(position) || position < 1) {
+    return next(new AppError('Please provide a position of 1 or more.', 400));
+  }
+  await Waitlist.moveTo(entry, position);
+
+  const entries = await Waitlist.find({
+    departure: entry.departure,
+    status: 'waiting',
+  }).sort('position');
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      data: entries,
+    },
+  });
+});
+
+exports.leaveWaitlist = catchAsync(async (req, res, next) => {
+  const filter = await factory.policyFilter(req, Waitlist, 'leave');
+  const entry = await Waitlist.findOne({
+    _id: req.params.id,
+    departure: req.params.departureId,
+    ...filter,
+  });
+  if (!entry) {
+    return next(await factory.notFound(Waitlist, req.params.id, filter));
+  }
+
+  if (entry.status === 'offered') {
+    await releaseOffer(entry, 'removed');
+  } else if (entry.status === 'waiting') {
+    await Waitlist.findByIdAndUpdate(entry.id, { status: 'removed' });
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
@@ -0,0 +1,125 @@
+const WebhookEvent = require('../models/webhookEventModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const payments = require('../utils/payments');
+const bookingController = require('./bookingController');
+const factory = require('./handlerFactory');
+
+// an event still processing after this long was left behind, eg. by a crash or restart
+const PROCESSING_TIMEOUT_MINUTES = 10;
+
+// event types we act on, any other event is stored and ignored
+const eventHandlers = {
+  'checkout.session.completed': bookingController.createBookingCheckout,
+  'checkout.session.expired': bookingController.releaseCheckoutSeats,
+  'charge.refunded': bookingController.refundBookingCharge,
+};
+
+const processEvent = async (webhookEvent) => {
+  const handler = eventHandlers[webhookEvent.type];
+
+  if (!handler) {
+    webhookEvent.status = 'ignored';
+  } else {
+    try {
+      await handler(webhookEvent.payload.data.object);
+      webhookEvent.status = 'processed';
+      webhookEvent.error = undefined;
+    } catch (err) {
+      webhookEvent.status = 'failed';
+      webhookEvent.error = err.message;
+    }
+  }
+
+  webhookEvent.processedAt = Date.now();
+  await webhookEvent.save();
+  return webhookEvent;
+};
+
+// Atomically takes a failed or stuck event back into processing, so two
+// deliveries can't both run it. Events processing since before processingStartedAt
+// was recorded count as stuck too.
+const claimEvent = (filter) =>
+  WebhookEvent.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'failed' },
+        {
+          status: 'processing',
+          processingStartedAt: {
+            $not: {
+              $gte: Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000,
+            },
+          },
+        },
+      ],
+    },
+    {
+      status: 'processing',
+      processingStartedAt: Date.now(),
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+
+exports.webhookCheckout = catchAsync(async (req, res, next) => {
+  let event;
+  try {
+    event = payments.verifyWebhook(req.body, req.headers);
+  } catch (err) {
+    return res.status(400).send(`Webhook error: ${err.message}`);
+  }
+
+  // 1) Store the event, or pick up the one we already stored for this ID
+  let webhookEvent;
+  try {
+    webhookEvent = await WebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+      attempts: 1,
+      processingStartedAt: Date.now(),
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // a redelivery of an event we have seen: only a failed or stuck one is worth running again
+    webhookEvent = await claimEvent({ eventId: event.id });
+    if (!webhookEvent) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+  }
+
+  // 2) Process it and record the outcome
+  await processEvent(webhookEvent);
+
+  // a failure makes the provider retry the delivery later
+  const statusCode = webhookEvent.status === 'failed' ? 500 : 200;
+  res.status(statusCode).json({
+    received: true,
+    status: webhookEvent.status,
+  });
+});
+
+exports.retryWebhookEvent = catchAsync(async (req, res, next) => {
+  const webhookEvent = await claimEvent({ _id: req.params.id });
+
+  if (!webhookEvent) {
+    return next(
+      new AppError('No failed or stuck webhook event found with that ID', 404)
+    );
+  }
+
+  await processEvent(webhookEvent);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      data: webhookEvent,
+    },
+  });
+});
+
+exports.getAllWebhookEvents = factory.getAll(WebhookEvent);
+exports.getWebhookEvent = factory.getOne(WebhookEvent);
@@ -4,6 +4,7 @@ const dotenv = require('dotenv');
 const Tour = require('../../models/tourModel');
 const User = require('../../models/userModel');
 const Review = require('../../models/reviewModel');
+const Departure = require('../../models/departureModel');
 
 dotenv.config({ path: './config.env' });
 
@@ -33,7 +34,7 @@ const reviews = JSON.parse(
 // IMPORT DATA INTO DB
 const importData = async () => {
   try {
-    await Tour.create(tours);
+    await Tour.create(tours); // also creates a departure for each start date
     await User.create(users, { validateBeforeSave: false });
     await Review.create(reviews);
     console.log('Data successfully loaded');
@@ -49,6 +50,7 @@ const deleteData = async () => {
     await Tour.deleteMany();
     await User.deleteMany();
     await Review.deleteMany();
+    await Departure.deleteMany();
     console.log('Data successfully deleted!');
   } catch (err) {
     console.log(err);
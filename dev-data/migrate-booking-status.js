@@ -0,0 +1,54 @@
+// Moves bookings made before the status lifecycle from the old paid flag to a
+// status: paid ones are confirmed, unpaid ones cancelled. Each gets the status
+// in its history, dated when it was booked. Run it once after deploying:
+//
+//   npm run migrate:booking-status
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: `${__dirname}/../config.env` });
+
+const DB = process.env.DATABASE.replace(
+  '<PASSWORD>',
+  process.env.DATABASE_PASSWORD
+);
+
+// on the collection itself, the model no longer knows the paid field
+const migrate = (paid, status) =>
+  mongoose.connection
+    .collection('bookings')
+    .updateMany({ status: { $exists: false }, paid }, [
+      {
+        $set: {
+          status,
+          statusHistory: [
+            {
+              status,
+              at: { $ifNull: ['$createdAt', '$$NOW'] },
+              note: 'Migrated from the paid flag',
+            },
+          ],
+        },
+      },
+      { $unset: 'paid' },
+    ]);
+
+const run = async () => {
+  try {
+    await mongoose.connect(DB, {
+      useNewUrlParser: true,
+      useCreateIndex: true,
+      useFindAndModify: false,
+    });
+    const confirmed = await migrate(true, 'confirmed');
+    const cancelled = await migrate(false, 'cancelled');
+    console.log(
+      `${confirmed.modifiedCount} bookings confirmed, ${cancelled.modifiedCount} cancelled`
+    );
+  } catch (err) {
+    console.log(err);
+  }
+  process.exit();
+};
+
+run();
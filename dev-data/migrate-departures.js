@@ -0,0 +1,37 @@
+// Creates the departures of tours that were added before seats were sold per
+// departure, one for every start date. Tours that already have them are left
+// as they are, so it is safe to run again:
+//
+//   npm run migrate:departures
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Departure = require('../models/departureModel');
+
+dotenv.config({ path: `${__dirname}/../config.env` });
+
+const DB = process.env.DATABASE.replace(
+  '<PASSWORD>',
+  process.env.DATABASE_PASSWORD
+);
+
+const run = async () => {
+  try {
+    await mongoose.connect(DB, {
+      useNewUrlParser: true,
+      useCreateIndex: true,
+      useFindAndModify: false,
+    });
+    // on the collection itself, the model's queries leave out secret tours
+    const tours = await mongoose.connection
+      .collection('tours')
+      .find({}, { projection: { startDates: 1, maxGroupSize: 1 } })
+      .toArray();
+    await Promise.all(tours.map((tour) => Departure.syncWithTour(tour)));
+    console.log(`Departures synced for ${tours.length} tours`);
+  } catch (err) {
+    console.log(err);
+  }
+  process.exit();
+};
+
+run();
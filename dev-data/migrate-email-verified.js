@@ -0,0 +1,37 @@
+// Marks the email addresses of users created before email verification as
+// confirmed, so they can keep booking tours and writing reviews. Run it once
+// after deploying:
+//
+//   npm run migrate:email-verified
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: `${__dirname}/../config.env` });
+
+const DB = process.env.DATABASE.replace(
+  '<PASSWORD>',
+  process.env.DATABASE_PASSWORD
+);
+
+const run = async () => {
+  try {
+    await mongoose.connect(DB, {
+      useNewUrlParser: true,
+      useCreateIndex: true,
+      useFindAndModify: false,
+    });
+    // on the collection itself, the model defaults a missing flag to false
+    const result = await mongoose.connection
+      .collection('users')
+      .updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+      );
+    console.log(`${result.modifiedCount} users marked as verified`);
+  } catch (err) {
+    console.log(err);
+  }
+  process.exit();
+};
+
+run();
@@ -0,0 +1,41 @@
+// Replaces the unique index on the tour and user of reviews with the partial
+// one that leaves out reviews of erased accounts. Until then, erasing a second
+// user who reviewed the same tour fails. Run it once after deploying:
+//
+//   npm run migrate:review-index
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Review = require('../models/reviewModel');
+
+dotenv.config({ path: `${__dirname}/../config.env` });
+
+const DB = process.env.DATABASE.replace(
+  '<PASSWORD>',
+  process.env.DATABASE_PASSWORD
+);
+
+const INDEX = 'tour_1_user_1';
+
+const run = async () => {
+  try {
+    await mongoose.connect(DB, {
+      useNewUrlParser: true,
+      useCreateIndex: true,
+      useFindAndModify: false,
+      autoIndex: false,
+    });
+    // the index has the same name either way, only the old one is dropped
+    const indexes = await Review.collection.indexes();
+    const old = indexes.find(
+      (el) => el.name === INDEX && !el.partialFilterExpression
+    );
+    if (old) await Review.collection.dropIndex(INDEX);
+    await Review.createIndexes();
+    console.log(old ? `${INDEX} replaced` : `${INDEX} is up to date`);
+  } catch (err) {
+    console.log(err);
+  }
+  process.exit();
+};
+
+run();
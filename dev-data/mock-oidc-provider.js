@@ -0,0 +1,185 @@
+// A local OpenID Connect provider to try and test logging in with a provider,
+// without accounts at Google etc. It lets anyone log in as any email address.
+//
+//   node dev-data/mock-oidc-provider.js
+//
+// and in config.env:
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_LABEL=Mock provider
+//   OIDC_MOCK_ISSUER=http://localhost:4000
+//   OIDC_MOCK_CLIENT_ID=natours
+//   OIDC_MOCK_CLIENT_SECRET=natours-secret
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: `${__dirname}/../config.env` });
+
+const port = process.env.MOCK_OIDC_PORT || 4000;
+const issuer = process.env.OIDC_MOCK_ISSUER || `http://localhost:${port}`;
+const clientId = process.env.OIDC_MOCK_CLIENT_ID || 'natours';
+const clientSecret = process.env.OIDC_MOCK_CLIENT_SECRET || 'natours-secret';
+
+// a new signing key every time it starts
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+const kid = crypto.randomBytes(8).toString('hex');
+
+// codes waiting to be swapped for tokens, and the claims of access tokens
+const codes = new Map();
+const accessTokens = new Map();
+
+const escape = (value) =>
+  `${value || ''}`.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    token_endpoint_auth_methods_supported: [
+      'client_secret_basic',
+      'client_secret_post',
+    ],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [
+      { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' },
+    ],
+  });
+});
+
+// 1) Instead of a login, a form to pick who to log in as
+app.get('/authorize', (req, res) => {
+  if (req.query.client_id !== clientId) {
+    return res.status(400).send('Unknown client_id');
+  }
+  const hidden = [
+    'redirect_uri',
+    'state',
+    'nonce',
+    'code_challenge',
+    'code_challenge_method',
+  ]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escape(
+          req.query[name]
+        )}">`
+    )
+    .join('');
+
+  res.send(`<!DOCTYPE html>
+<html>
+  <body style="font-family: sans-serif">
+    <h1>Mock provider</h1>
+    <form method="POST" action="/authorize">
+      ${hidden}
+      <p><label>Email <input name="email" type="email" value="traveller@example.com" required></label></p>
+      <p><label>Name <input name="name" value="Test Traveller"></label></p>
+      <p><label><input name="email_verified" type="checkbox" checked> Email is verified</label></p>
+      <button>Log in</button>
+    </form>
+  </body>
+</html>`);
+});
+
+// 2) Send the user back with a code
+app.post('/authorize', (req, res) => {
+  const code = crypto.randomBytes(16).toString('hex');
+  const email = `${req.body.email}`.toLowerCase();
+  codes.set(code, {
+    redirectUri: req.body.redirect_uri,
+    nonce: req.body.nonce || undefined,
+    codeChallenge: req.body.code_challenge,
+    claims: {
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+      email,
+      email_verified: Boolean(req.body.email_verified),
+      name: req.body.name || undefined,
+    },
+  });
+
+  const url = new URL(req.body.redirect_uri);
+  url.searchParams.set('code', code);
+  if (req.body.state) url.searchParams.set('state', req.body.state);
+  res.redirect(url.toString());
+});
+
+// 3) Swap the code for tokens
+app.post('/token', (req, res) => {
+  let id = req.body.client_id;
+  let secret = req.body.client_secret;
+  const basic = `${req.get('authorization') || ''}`.match(/^Basic (.+)$/);
+  if (basic) {
+    [id, secret] = Buffer.from(basic[1], 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+  }
+  if (id !== clientId || secret !== clientSecret) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (grant.codeChallenge) {
+    const challenge = crypto
+      .createHash('sha256')
+      .update(`${req.body.code_verifier}`)
+      .digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, grant.claims);
+  const idToken = jwt.sign(
+    { ...grant.claims, nonce: grant.nonce },
+    privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '10m',
+    }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 600,
+    id_token: idToken,
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = `${req.get('authorization') || ''}`.replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+  if (!claims) return res.status(401).json({ error: 'invalid_token' });
+  res.json(claims);
+});
+
+app.listen(port, () => {
+  console.log(`Mock OpenID Connect provider running at ${issuer}...`);
+});
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// <resource>:read allows GET requests to /api/v1/<resource>, <resource>:write the others
+const SCOPES = ['tours:read', 'tours:write', 'bookings:read', 'bookings:write'];
+// the routers each resource covers, matched against the whole base URL so
+// nested routers (eg. /api/v1/tours/:tourId/reviews) aren't taken for their parent
+const RESOURCE_PATHS = {
+  tours: /^\/api\/v1\/tours(\/[^/]+\/departures)?$/i,
+  bookings: /^\/api\/v1\/bookings$/i,
+};
+const MAX_RATE_LIMIT = 600;
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'An API key must have a name'],
+    trim: true,
+    maxlength: [
+      60,
+      'An API key name must have less or equal then 60 characters',
+    ],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'An API key must belong to a user'],
+  },
+  // hash of the secret part of the key
+  secret: {
+    type: String,
+    select: false,
+  },
+  // last characters of the key, to tell keys apart
+  hint: String,
+  scopes: {
+    type: [
+      {
+        type: String,
+        enum: {
+          values: SCOPES,
+          message: `Scopes are: ${SCOPES.join(', ')}`,
+        },
+      },
+    ],
+    validate: [(val) => val.length > 0, 'An API key needs at least one scope'],
+  },
+  // requests a minute
+  rateLimit: {
+    type: Number,
+    default: 60,
+    min: [1, 'The rate limit must be at least 1 request a minute'],
+    max: [
+      MAX_RATE_LIMIT,
+      `The rate limit can be at most ${MAX_RATE_LIMIT} requests a minute`,
+    ],
+  },
+  rateWindowStart: {
+    type: Date,
+    select: false,
+  },
+  rateWindowCount: {
+    type: Number,
+    select: false,
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: Date,
+});
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+const hashSecret = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const activeFilter = () => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: Date.now() } }],
+});
+
+// creates a key for a user, resolves with it and the key itself, which is only shown once
+apiKeySchema.statics.issue = async function (user, fields) {
+  const apiKey = new this({ ...fields, user: user._id });
+  const secret = crypto.randomBytes(32).toString('hex');
+  apiKey.secret = hashSecret(secret);
+  apiKey.hint = secret.slice(-4);
+  await apiKey.save();
+
+  return { apiKey, key: `nk_${apiKey._id}_${secret}` };
+};
+
+// Finds the key of a request and counts the request against its rate limit.
+// Resolves with null if the key isn't valid, or with { apiKey, retryAfter }
+// where retryAfter is the seconds to wait when it is over its limit.
+apiKeySchema.statics.authenticate = async function (key, ip) {
+  const [prefix, id, secret] = `${key}`.split('_');
+  if (prefix !== 'nk' || !mongoose.Types.ObjectId.isValid(id) || !secret) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ _id: id, ...activeFilter() }).select(
+    '+secret'
+  );
+  if (!apiKey || apiKey.secret !== hashSecret(secret)) return null;
+
+  // 1) A new minute starts the count over, 2) or the request is counted if it's under the limit
+  const now = Date.now();
+  const used =
+    (await this.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { rateWindowStart: null },
+          { rateWindowStart: { $lte: now - 60 * 1000 } },
+        ],
+      },
+      {
+        rateWindowStart: now,
+        rateWindowCount: 1,
+        lastUsedAt: now,
+        lastUsedIp: ip,
+      },
+      { new: true }
+    )) ||
+    (await this.findOneAndUpdate(
+      { _id: id, $expr: { $lt: ['$rateWindowCount', '$rateLimit'] } },
+      { $inc: { rateWindowCount: 1 }, lastUsedAt: now, lastUsedIp: ip },
+      { new: true }
+    ));
+  if (used) return { apiKey: used, retryAfter: 0 };
+
+  const { rateWindowStart } = await this.findById(id).select(
+    '+rateWindowStart'
+  );
+  const retryAfter = Math.ceil((rateWindowStart - now + 60 * 1000) / 1000);
+  return { apiKey, retryAfter: Math.max(1, retryAfter) };
+};
+
+// whether the key's scopes cover a request, eg. GET /api/v1/tours needs tours:read
+apiKeySchema.methods.allows = function (req) {
+  const resource = Object.keys(RESOURCE_PATHS).find((el) =>
+    RESOURCE_PATHS[el].test(req.baseUrl)
+  );
+  if (!resource) return false;
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  return this.scopes.includes(`${resource}:${access}`);
+};
+
+apiKeySchema.statics.findActiveFor = function (user) {
+  return this.find({ user, ...activeFilter() }).sort('-createdAt');
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
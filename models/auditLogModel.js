@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// What admins did while impersonating users, with both identities
+const auditLogSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['impersonation-started', 'impersonation-stopped', 'request'],
+    required: [true, 'An audit log entry must have an event'],
+  },
+  impersonator: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'An audit log entry must have an impersonator'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'An audit log entry must have a user'],
+  },
+  session: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Session',
+  },
+  reason: String,
+  method: String,
+  url: String,
+  statusCode: Number,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ impersonator: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
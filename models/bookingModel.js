@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+const currency = require('../utils/currency');
+
+// the statuses a booking can move to from each status
+const statusTransitions = {
+  pending: ['confirmed', 'cancelled'], // checkout started, not paid yet
+  confirmed: ['cancelled', 'refunded', 'completed', 'no-show'],
+  cancelled: ['refunded'],
+  refunded: [],
+  completed: [],
+  'no-show': [],
+};
 
 const bookingSchema = new mongoose.Schema({
   tour: {
@@ -6,30 +18,192 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Tour',
     required: [true, 'Booking must belong to a Tour!'],
   },
+  departure: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Departure',
+  },
   user: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
     required: [true, 'Booking must belong to a User!'],
   },
+  participants: {
+    type: Number,
+    default: 1,
+    min: [1, 'A booking must have at least 1 participant'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'The number of participants must be a whole number',
+    },
+  },
+  // total paid for all participants, in the booking's currency
   price: {
     type: Number,
     require: [true, 'Booking must have a price'],
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: currency.base,
+  },
+  // promo code redeemed for this booking, and the amount it took off the price
+  coupon: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Coupon',
+  },
+  couponCode: String,
+  discount: Number,
+  // the waitlist entry whose offer this booking is paid from
+  waitlistEntry: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Waitlist',
+  },
   createdAt: {
     type: Date,
     default: Date.now(),
   },
-  paid: {
-    type: Boolean,
-    default: true,
+  status: {
+    type: String,
+    enum: {
+      values: Object.keys(statusTransitions),
+      message:
+        'Status is either: pending, confirmed, cancelled, refunded, completed, no-show',
+    },
+    default: 'pending',
+  },
+  statusHistory: [
+    {
+      _id: false,
+      status: String,
+      at: Date,
+      by: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+      },
+      note: String,
+    },
+  ],
+  checkoutSession: String,
+  // whether the seats held for the checkout have been turned into sold seats
+  seatsConfirmed: Boolean,
+  // payment to refund against when the booking is cancelled
+  paymentIntent: {
+    type: String,
+    select: false,
   },
+  refund: {
+    percentage: Number,
+    amount: Number,
+    refundId: String,
+  },
+});
+
+bookingSchema.index({ user: 1, status: 1 });
+
+bookingSchema.statics.statusTransitions = statusTransitions;
+
+// the statuses a booking can be in to move to `status`
+const statusesBefore = (status) =>
+  Object.keys(statusTransitions).filter((el) =>
+    statusTransitions[el].includes(status)
+  );
+
+bookingSchema.methods.canTransitionTo = function (status) {
+  return (statusTransitions[this.status] || []).includes(status);
+};
+
+// for documents that are saved afterwards
+bookingSchema.methods.transitionTo = function (status, { by, note } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(
+      `A ${this.status} booking cannot be changed to ${status}.`,
+      400
+    );
+  }
+  this.status = status;
+  this.statusHistory.push({ status, at: Date.now(), by, note });
+  return this;
+};
+
+// Atomically moves the booking to `status` if its current status allows it,
+// together with any other fields in `set`. Returns null if it doesn't.
+bookingSchema.statics.transition = function (
+  id,
+  status,
+  { by, note, set } = {}
+) {
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: statusesBefore(status) } },
+    {
+      ...set,
+      status,
+      $push: { statusHistory: { status, at: Date.now(), by, note } },
+    },
+    // the booking is used for emails and responses
+    { new: true, statusTransition: true, autopopulate: true }
+  );
+};
+
+// remember the status the document was loaded with, to check the transition on save
+bookingSchema.post('init', function () {
+  this._loadedStatus = this.status;
+});
+
+bookingSchema.pre('save', function (next) {
+  if (!this.isNew && !this.isModified('status')) return next();
+
+  if (
+    !this.isNew &&
+    !statusTransitions[this._loadedStatus].includes(this.status)
+  ) {
+    return next(
+      new AppError(
+        `A ${this._loadedStatus} booking cannot be changed to ${this.status}.`,
+        400
+      )
+    );
+  }
+
+  // record changes made without transitionTo() as well
+  const last = this.statusHistory[this.statusHistory.length - 1];
+  if (!last || last.status !== this.status) {
+    this.statusHistory.push({ status: this.status, at: Date.now() });
+  }
+  this._loadedStatus = this.status;
+  next();
+});
+
+// status can't be set by a plain update, it has to go through transition()
+bookingSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate();
+  const status = update.status || (update.$set && update.$set.status);
+  if (status && !this.getOptions().statusTransition) {
+    return next(
+      new AppError(
+        'Booking status can only be changed with a status transition.',
+        400
+      )
+    );
+  }
+  next();
 });
 
+// only when asked for with .setOptions({ autopopulate: true }), so booking
+// lists don't carry the users along (the API has ?populate)
 bookingSchema.pre(/^find/, function (next) {
-  this.populate('user').populate({
-    path: 'tour',
-    select: 'name',
-  });
+  if (!this.getOptions().autopopulate) return next();
+  this.populate({
+    path: 'user',
+    select: 'name email',
+  })
+    .populate({
+      path: 'tour',
+      select: 'name',
+    })
+    .populate({
+      path: 'departure',
+      select: 'startDate',
+    });
   next();
 });
 
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// named sequences, eg. for invoice numbers that must never repeat or skip back
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// atomically increments the sequence and returns the new value, starting at 1
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
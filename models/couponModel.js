@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'A coupon must have a code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  description: String,
+  type: {
+    type: String,
+    required: [true, 'A coupon must have a type'],
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Type is either: percentage, fixed',
+    },
+  },
+  // percentage off, or fixed amount off the booking total
+  amount: {
+    type: Number,
+    required: [true, 'A coupon must have an amount'],
+    min: [0, 'A coupon amount cannot be negative'],
+    validate: {
+      // this only points to current doc on NEW document creation
+      validator: function (val) {
+        return this.type !== 'percentage' || val <= 100;
+      },
+      message: 'A percentage coupon cannot take off more than 100%',
+    },
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // leave empty for no limit
+  maxRedemptions: {
+    type: Number,
+    min: [1, 'A coupon must allow at least 1 redemption'],
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'A coupon must allow at least 1 redemption per user'],
+  },
+  redemptions: {
+    type: Number,
+    default: 0,
+  },
+  // redemptions per user ID, so perUserLimit is checked in the same update
+  userRedemptions: {
+    type: Map,
+    of: Number,
+    select: false,
+  },
+  // leave empty to allow all tours / difficulties
+  tours: [
+    {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Tour',
+    },
+  ],
+  difficulties: [
+    {
+      type: String,
+      enum: {
+        values: ['easy', 'medium', 'difficult'],
+        message: 'Difficulty is either: easy, medium, difficult',
+      },
+    },
+  ],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// throws an error explaining why the coupon can't be used on the tour
+couponSchema.methods.checkFor = function (tour, date = Date.now()) {
+  if (!this.active || (this.validUntil && this.validUntil < date)) {
+    throw new AppError(`The code ${this.code} has expired.`, 400);
+  }
+  if (this.validFrom && this.validFrom > date) {
+    throw new AppError(`The code ${this.code} is not valid yet.`, 400);
+  }
+  if (this.maxRedemptions && this.redemptions >= this.maxRedemptions) {
+    throw new AppError(`The code ${this.code} has been used up.`, 400);
+  }
+  if (
+    (this.tours.length > 0 && !this.tours.some((el) => el.equals(tour._id))) ||
+    (this.difficulties.length > 0 &&
+      !this.difficulties.includes(tour.difficulty))
+  ) {
+    throw new AppError(
+      `The code ${this.code} is not valid for this tour.`,
+      400
+    );
+  }
+};
+
+// amount off `total`, both in the base currency
+couponSchema.methods.discountFor = function (total) {
+  const discount =
+    this.type === 'percentage' ? (total * this.amount) / 100 : this.amount;
+
+  return Math.min(discount, total);
+};
+
+// Atomically counts a redemption by the user, returns null if the coupon (or
+// the user's share of it) has been used up in the meantime
+couponSchema.statics.redeem = function (id, user) {
+  const userRedemptions = `userRedemptions.${user}`;
+
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $and: [
+        {
+          $or: [
+            { maxRedemptions: null },
+            { $expr: { $lt: ['$redemptions', '$maxRedemptions'] } },
+          ],
+        },
+        {
+          $or: [
+            { perUserLimit: null },
+            {
+              $expr: {
+                $lt: [{ $ifNull: [`$${userRedemptions}`, 0] }, '$perUserLimit'],
+              },
+            },
+          ],
+        },
+      ],
+    },
+    { $inc: { redemptions: 1, [userRedemptions]: 1 } },
+    { new: true }
+  );
+};
+
+// for bookings that were never paid
+couponSchema.statics.release = async function (id, user) {
+  const userRedemptions = `userRedemptions.${user}`;
+
+  const coupon = await this.findOneAndUpdate(
+    { _id: id, redemptions: { $gt: 0 }, [userRedemptions]: { $gt: 0 } },
+    { $inc: { redemptions: -1, [userRedemptions]: -1 } },
+    { new: true }
+  );
+  if (coupon) return coupon;
+
+  // redeemed before redemptions were counted per user (or by an erased user)
+  return this.findOneAndUpdate(
+    { _id: id, redemptions: { $gt: 0 } },
+    { $inc: { redemptions: -1 } },
+    { new: true }
+  );
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Booking = require('./bookingModel');
+const AppError = require('../utils/appError');
+
+// one document per tour start date, so seats can be counted and reserved per departure
+const departureSchema = new mongoose.Schema(
+  {
+    tour: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Tour',
+      required: [true, 'A departure must belong to a tour'],
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'A departure must have a start date'],
+    },
+    capacity: {
+      type: Number,
+      required: [true, 'A departure must have a capacity'],
+      min: [1, 'A departure must have at least 1 seat'],
+    },
+    seatsSold: {
+      type: Number,
+      default: 0,
+      min: [0, 'Seats sold cannot be negative'],
+    },
+    // seats reserved by checkouts that have not been paid (or expired) yet
+    seatsHeld: {
+      type: Number,
+      default: 0,
+      min: [0, 'Seats held cannot be negative'],
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+departureSchema.index({ tour: 1, startDate: 1 }, { unique: true });
+
+departureSchema.virtual('seatsRemaining').get(function () {
+  return Math.max(this.capacity - this.seatsSold - this.seatsHeld, 0);
+});
+
+departureSchema.virtual('soldOut').get(function () {
+  return this.seatsRemaining === 0;
+});
+
+// the departures matching the filter that no booking refers to
+departureSchema.statics.withoutBookings = async function (filter) {
+  const departures = await this.find(filter).select('_id');
+  const booked = await Booking.distinct('departure', {
+    departure: { $in: departures.map((departure) => departure._id) },
+  });
+  return departures
+    .map((departure) => departure._id)
+    .filter((id) => !booked.some((bookedId) => bookedId.equals(id)));
+};
+
+// Creates a departure for every start date of the tour that does not have one
+// yet, and removes the ones of dropped dates that nobody has bought or held
+// seats on. Departures with sales stay, the bookings still refer to them.
+departureSchema.statics.syncWithTour = async function (tour) {
+  const startDates = tour.startDates || [];
+
+  const unsold = await this.withoutBookings({
+    tour: tour._id,
+    startDate: { $nin: startDates },
+    seatsSold: 0,
+    seatsHeld: 0,
+  });
+  if (unsold.length) {
+    await this.deleteMany({ _id: { $in: unsold }, seatsSold: 0, seatsHeld: 0 });
+  }
+
+  if (startDates.length === 0) return;
+
+  await this.bulkWrite(
+    startDates.map((startDate) => ({
+      updateOne: {
+        filter: { tour: tour._id, startDate },
+        update: {
+          $setOnInsert: {
+            capacity: tour.maxGroupSize,
+            seatsSold: 0,
+            seatsHeld: 0,
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+// a departure that has bookings can't be deleted, they would lose their date
+departureSchema.pre('findOneAndDelete', async function () {
+  const departure = await this.model.findOne(this.getFilter()).select('_id');
+  if (departure && (await Booking.exists({ departure: departure._id }))) {
+    throw new AppError(
+      'This departure has bookings and cannot be deleted. Cancel them first.',
+      400
+    );
+  }
+});
+
+// The seat counters are only ever changed with a single conditional update,
+// so two checkouts can never both take the last seat.
+
+// returns null if the departure has already started or does not have enough seats left
+departureSchema.statics.holdSeats = function (departureId, seats) {
+  return this.findOneAndUpdate(
+    {
+      _id: departureId,
+      startDate: { $gt: Date.now() },
+      $expr: {
+        $lte: [{ $add: ['$seatsSold', '$seatsHeld', seats] }, '$capacity'],
+      },
+    },
+    { $inc: { seatsHeld: seats } },
+    { new: true }
+  );
+};
+
+// turns held seats into sold seats once the checkout has been paid
+departureSchema.statics.confirmSeats = async function (departureId, seats) {
+  const departure = await this.findOneAndUpdate(
+    { _id: departureId, seatsHeld: { $gte: seats } },
+    { $inc: { seatsHeld: -seats, seatsSold: seats } },
+    { new: true }
+  );
+  if (departure) return departure;
+
+  // the hold was already released, but the customer has paid so the seats are theirs
+  return this.findByIdAndUpdate(
+    departureId,
+    { $inc: { seatsSold: seats } },
+    { new: true }
+  );
+};
+
+// gives back seats held by a checkout that was abandoned or failed
+departureSchema.statics.releaseHold = function (departureId, seats) {
+  return this.findOneAndUpdate(
+    { _id: departureId, seatsHeld: { $gte: seats } },
+    { $inc: { seatsHeld: -seats } },
+    { new: true }
+  );
+};
+
+// gives back sold seats when a booking is cancelled
+departureSchema.statics.releaseSeats = function (departureId, seats) {
+  return this.findOneAndUpdate(
+    { _id: departureId, seatsSold: { $gte: seats } },
+    { $inc: { seatsSold: -seats } },
+    { new: true }
+  );
+};
+
+const Departure = mongoose.model('Departure', departureSchema);
+
+module.exports = Departure;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const currency = require('../utils/currency');
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'An exchange rate must have a currency'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    validate: [
+      {
+        validator: currency.isSupported,
+        message: '{VALUE} is not a supported currency',
+      },
+      {
+        validator: (val) => val !== currency.base,
+        message: `${currency.base} is the base currency, it doesn't need a rate`,
+      },
+    ],
+  },
+  // units of this currency for 1 unit of the base currency
+  rate: {
+    type: Number,
+    required: [true, 'An exchange rate must have a rate'],
+    validate: {
+      validator: (val) => val > 0,
+      message: 'An exchange rate must be above 0',
+    },
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+exchangeRateSchema.pre('save', function (next) {
+  if (this.isModified('rate')) this.updatedAt = Date.now();
+  next();
+});
+
+exchangeRateSchema.pre('findOneAndUpdate', function (next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+// converter for `code`, falls back to the base currency if there is no rate for it
+exchangeRateSchema.statics.converterFor = async function (code) {
+  if (!code || code.toUpperCase() === currency.base) {
+    return currency.converter();
+  }
+
+  const exchangeRate = await this.findOne({ currency: code.toUpperCase() });
+  if (!exchangeRate || !exchangeRate.rate) return currency.converter();
+
+  return currency.converter(exchangeRate.currency, exchangeRate.rate);
+};
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
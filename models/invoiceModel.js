@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Counter = require('./counterModel');
+const currency = require('../utils/currency');
+
+// An invoice is issued once per paid booking. The details are copied from the
+// booking, so the invoice stays the same when the tour or the user changes.
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: [true, 'An invoice must have a number'],
+    unique: true,
+  },
+  booking: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Booking',
+    required: [true, 'An invoice must belong to a booking'],
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'An invoice must belong to a user'],
+  },
+  customer: {
+    name: String,
+    email: String,
+  },
+  tour: String,
+  startDate: Date,
+  participants: Number,
+  currency: String,
+  unitPrice: Number,
+  discount: Number,
+  couponCode: String,
+  // prices include tax, this is the part of the total that is tax
+  taxRate: Number,
+  tax: Number,
+  total: Number,
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// numbers are INV-<year>-<sequence>, the sequence runs on across years
+const nextNumber = async () => {
+  const seq = await Counter.next('invoice');
+  return `INV-${new Date().getFullYear()}-${`${seq}`.padStart(6, '0')}`;
+};
+
+// returns the booking's invoice, issuing it first if there isn't one yet
+invoiceSchema.statics.issueFor = async function (booking) {
+  const existing = await this.findOne({ booking: booking.id });
+  if (existing) return existing;
+
+  const taxRate = process.env.TAX_RATE * 1 || 0;
+  const discount = booking.discount || 0;
+
+  try {
+    return await this.create({
+      number: await nextNumber(),
+      booking: booking.id,
+      user: booking.user.id,
+      customer: { name: booking.user.name, email: booking.user.email },
+      tour: booking.tour.name,
+      startDate: booking.departure && booking.departure.startDate,
+      participants: booking.participants,
+      currency: booking.currency,
+      unitPrice: currency.round(
+        (booking.price + discount) / booking.participants,
+        booking.currency
+      ),
+      discount,
+      couponCode: booking.couponCode,
+      taxRate,
+      tax: currency.round(
+        (booking.price * taxRate) / (100 + taxRate),
+        booking.currency
+      ),
+      total: booking.price,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // issued at the same time by another request
+    const issued = await this.findOne({ booking: booking.id });
+    if (!issued) throw err;
+    return issued;
+  }
+};
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
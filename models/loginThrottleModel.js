@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Failed logins are counted per account (the email that was tried) and per IP.
+// After delayAfter failures each further attempt has to wait twice as long as
+// the one before, and after lockAfter failures logins are locked.
+const LIMITS = {
+  account: { delayAfter: 3, lockAfter: 5 },
+  ip: { delayAfter: 10, lockAfter: 20 },
+};
+// failures older than this don't count anymore
+const FAILURE_WINDOW_MINUTES = 60;
+// the first lockout, every lockout after it within a day lasts twice as long
+const LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// how long a throttle is remembered after the last failure or lockout
+const MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const loginThrottleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: [true, 'A login throttle must have a type'],
+  },
+  // the email or IP address
+  key: {
+    type: String,
+    required: [true, 'A login throttle must have a key'],
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  lockouts: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: Date,
+});
+
+loginThrottleSchema.index({ type: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const keysFor = (email, ip) => [
+  { type: 'account', key: `${email}`.toLowerCase() },
+  { type: 'ip', key: ip },
+];
+
+const windowStart = () => Date.now() - FAILURE_WINDOW_MINUTES * 60 * 1000;
+
+// seconds until the next login attempt is allowed, 0 if it is allowed now
+loginThrottleSchema.methods.retryAfter = function () {
+  const now = Date.now();
+  if (this.lockedUntil > now) return Math.ceil((this.lockedUntil - now) / 1000);
+
+  const { delayAfter } = LIMITS[this.type];
+  if (this.failures < delayAfter || this.lastFailureAt < windowStart())
+    return 0;
+
+  const delay = 2 ** (this.failures - delayAfter + 1) * 1000;
+  return Math.max(0, Math.ceil((this.lastFailureAt - now + delay) / 1000));
+};
+
+// seconds until a login with this email from this IP is allowed, 0 if it is allowed now
+loginThrottleSchema.statics.retryAfter = async function (email, ip) {
+  const throttles = await this.find({ $or: keysFor(email, ip) });
+  return Math.max(0, ...throttles.map((el) => el.retryAfter()));
+};
+
+// Counts a failed login for one key. Returns the throttle, and whether this
+// failure locked it (so the owner is only told once).
+const fail = async (Model, { type, key }) => {
+  const now = Date.now();
+
+  // 1) Failures from before the window start over
+  await Model.updateOne(
+    { type, key, lastFailureAt: { $lt: windowStart() } },
+    { failures: 0 }
+  );
+
+  // 2) Count this one
+  const count = () =>
+    Model.findOneAndUpdate(
+      { type, key },
+      { $inc: { failures: 1 }, lastFailureAt: now, expiresAt: now + MEMORY_MS },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  let throttle;
+  try {
+    throttle = await count();
+  } catch (err) {
+    // two first failures at the same time both insert, the one that loses
+    // the race to the unique index counts on the other's throttle
+    if (err.code !== 11000) throw err;
+    throttle = await count();
+  }
+  const { lockAfter } = LIMITS[type];
+  if (throttle.failures < lockAfter) return { throttle, lockedOut: false };
+
+  // 3) Lock it, only once when failures come in at the same time
+  const minutes = Math.min(
+    LOCKOUT_MINUTES * 2 ** throttle.lockouts,
+    MAX_LOCKOUT_MINUTES
+  );
+  const lockedUntil = now + minutes * 60 * 1000;
+  const locked = await Model.findOneAndUpdate(
+    { _id: throttle._id, failures: { $gte: lockAfter } },
+    {
+      failures: 0,
+      $inc: { lockouts: 1 },
+      lockedUntil,
+      expiresAt: lockedUntil + MEMORY_MS,
+    },
+    { new: true }
+  );
+
+  return { throttle: locked || throttle, lockedOut: Boolean(locked) };
+};
+
+// counts a failed login for the email and the IP, returns the account's { throttle, lockedOut }
+loginThrottleSchema.statics.fail = async function (email, ip) {
+  const [account] = await Promise.all(
+    keysFor(email, ip).map((el) => fail(this, el))
+  );
+  return account;
+};
+
+// A successful login starts the account's count over. The IP's isn't, so
+// logging into one account doesn't allow guessing the password of others.
+loginThrottleSchema.statics.succeed = function (email) {
+  return this.updateOne(
+    { type: 'account', key: `${email}`.toLowerCase() },
+    { failures: 0 }
+  );
+};
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
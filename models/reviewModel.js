@@ -36,7 +36,11 @@ const reviewSchema = new mongoose.Schema(
 
 // so one user can only write one review on a tour
 // combo of user id and tour id for a reivew is unique
-reviewSchema.index({ tour: 1, user: 1 }, { unique: true });
+// (reviews of erased accounts have no user and don't count)
+reviewSchema.index(
+  { tour: 1, user: 1 },
+  { unique: true, partialFilterExpression: { user: { $exists: true } } }
+);
 
 // query middleware
 reviewSchema.pre(/^find/, function (next) {
@@ -48,6 +52,8 @@ reviewSchema.pre(/^find/, function (next) {
   //   path: 'tour',
   //   select: 'name',
   // });
+  // only when asked for with .setOptions({ autopopulate: true })
+  if (!this.getOptions().autopopulate) return next();
   this.populate({
     path: 'user',
     select: 'name photo',
@@ -100,7 +106,8 @@ reviewSchema.pre(/^findOneAnd/, async function (next) {
 
 reviewSchema.post(/^findOneAnd/, async function () {
   // await this.findOne(); does NOT work here, query has already executed
-  await this.r.constructor.calcAverageRatings(this.r.tour);
+  // (no review matched, eg. one the user may not change)
+  if (this.r) await this.r.constructor.calcAverageRatings(this.r.tour);
 });
 
 const Review = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// how long a refresh token that was just replaced may still come in without
+// counting as reuse, eg. from two requests that refreshed at the same time
+const ROTATION_GRACE_SECONDS = 30;
+// how many replaced refresh tokens are remembered to detect reuse
+const USED_TOKENS_KEPT = 20;
+
+// One session per logged in device. Access tokens carry the session's id, and
+// the session's refresh token is replaced every time it is used.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A session must belong to a user'],
+  },
+  refreshToken: {
+    type: String,
+    select: false,
+  },
+  usedRefreshTokens: {
+    type: [String],
+    select: false,
+  },
+  rotatedAt: Date,
+  // logged in (or confirmed) with a two-factor code
+  twoFactor: {
+    type: Boolean,
+    default: false,
+  },
+  // the admin who is using this session to see the site as the user
+  impersonator: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'A session must have an expiry date'],
+  },
+  revokedAt: Date,
+  revokedReason: String,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// expired sessions are removed by MongoDB a day after they end
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// refresh tokens are <session id>.<secret>, only the hash of the secret is stored
+const createRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${session._id}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [id, secret] = `${refreshToken}`.split('.');
+  if (!mongoose.Types.ObjectId.isValid(id) || !secret) return {};
+  return { id, hash: hashToken(secret) };
+};
+
+const activeFilter = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: Date.now() },
+});
+
+// starts a session for a user, returns it with its first refresh token
+sessionSchema.statics.start = async function (user, req, days, fields = {}) {
+  const session = new this({
+    ...fields,
+    user: user._id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: Date.now() + days * 24 * 60 * 60 * 1000,
+  });
+  const { refreshToken, hash } = createRefreshToken(session);
+  session.refreshToken = hash;
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+sessionSchema.statics.findActive = function (id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return this.findOne({ _id: id, ...activeFilter() });
+};
+
+// Swaps a refresh token for a new one and extends the session. Returns null if
+// the token isn't valid. A token that was already swapped means it was stolen,
+// so the whole session is revoked.
+sessionSchema.statics.rotate = async function (refreshToken, req, days) {
+  const { id, hash } = parseRefreshToken(refreshToken);
+  if (!id) return null;
+
+  const session = await this.findOne({ _id: id, ...activeFilter() }).select(
+    '+refreshToken +usedRefreshTokens'
+  );
+  if (!session) return null;
+
+  if (session.refreshToken !== hash) {
+    const justRotated =
+      session.usedRefreshTokens[session.usedRefreshTokens.length - 1] ===
+        hash && session.rotatedAt > Date.now() - ROTATION_GRACE_SECONDS * 1000;
+    if (session.usedRefreshTokens.includes(hash) && !justRotated) {
+      await this.revoke({ _id: session._id }, 'refresh token reused');
+    }
+    return null;
+  }
+
+  const next = createRefreshToken(session);
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshToken: hash, ...activeFilter() },
+    {
+      refreshToken: next.hash,
+      $push: {
+        usedRefreshTokens: { $each: [hash], $slice: -USED_TOKENS_KEPT },
+      },
+      rotatedAt: Date.now(),
+      lastSeenAt: Date.now(),
+      ip: req.ip,
+      // impersonation doesn't last longer than it was started for
+      expiresAt: session.impersonator
+        ? session.expiresAt
+        : Date.now() + days * 24 * 60 * 60 * 1000,
+    },
+    { new: true }
+  );
+  // another request swapped it first
+  if (!rotated) return null;
+
+  return { session: rotated, refreshToken: next.refreshToken };
+};
+
+// the user's own devices, without sessions of admins impersonating them
+sessionSchema.statics.findActiveFor = function (user) {
+  return this.find({ user, impersonator: null, ...activeFilter() }).sort(
+    '-lastSeenAt'
+  );
+};
+
+sessionSchema.statics.revoke = function (filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+// revokes the session of a (current) refresh token
+sessionSchema.statics.end = async function (refreshToken, reason) {
+  const { id, hash } = parseRefreshToken(refreshToken);
+  if (id) await this.revoke({ _id: id, refreshToken: hash }, reason);
+};
+
+// keeps lastSeenAt up to date without writing on every request
+sessionSchema.methods.touch = async function (req) {
+  if (this.lastSeenAt > Date.now() - 60 * 1000) return;
+
+  this.lastSeenAt = Date.now();
+  this.ip = req.ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, ip: this.ip }
+  );
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
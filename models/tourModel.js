@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const Departure = require('./departureModel');
 // const User = require('./userModel');
 // const validator = require('validator');
 
@@ -86,6 +87,32 @@ const tourSchema = new mongoose.Schema(
       select: false, // will not be displayed in ouput, hidden from client
     },
     startDates: [Date],
+    // refund tiers: cancelling at least `daysBefore` days before departure refunds `refundPercentage` of the price
+    cancellationPolicy: {
+      type: [
+        {
+          _id: false,
+          daysBefore: {
+            type: Number,
+            required: [true, 'A cancellation rule must have a number of days'],
+            min: [0, 'Days before departure cannot be negative'],
+          },
+          refundPercentage: {
+            type: Number,
+            required: [
+              true,
+              'A cancellation rule must have a refund percentage',
+            ],
+            min: [0, 'Refund percentage must be between 0 and 100'],
+            max: [100, 'Refund percentage must be between 0 and 100'],
+          },
+        },
+      ],
+      default: () => [
+        { daysBefore: 30, refundPercentage: 100 },
+        { daysBefore: 7, refundPercentage: 50 },
+      ],
+    },
     secretTour: {
       type: Boolean,
       default: false,
@@ -137,6 +164,27 @@ const tourSchema = new mongoose.Schema(
 tourSchema.index({ price: 1, ratingsAverage: -1 }); // compound index. 1 for ascending order and -1 for descending
 tourSchema.index({ slug: 1 });
 tourSchema.index({ startLocation: '2dsphere' });
+// for search, matches in the name count the most
+tourSchema.index(
+  {
+    name: 'text',
+    summary: 'text',
+    description: 'text',
+    'startLocation.description': 'text',
+    'startLocation.address': 'text',
+    'locations.description': 'text',
+    'locations.address': 'text',
+  },
+  {
+    name: 'tour_text',
+    weights: {
+      name: 10,
+      summary: 5,
+      'startLocation.description': 3,
+      'locations.description': 3,
+    },
+  }
+);
 
 // virtual properties - don't want to be persisted to database, to save space. Usually a mathematical conversion
 tourSchema.virtual('durationWeeks').get(function () {
@@ -150,6 +198,45 @@ tourSchema.virtual('reviews', {
   localField: '_id', // name of field in tour model to connect to
 });
 
+// seat inventory for each start date lives on its own departure document
+tourSchema.virtual('departures', {
+  ref: 'Departure',
+  foreignField: 'tour',
+  localField: '_id',
+});
+
+// instance methods
+tourSchema.methods.refundPercentage = function (startDate, date = Date.now()) {
+  const daysLeft = (startDate - date) / (24 * 60 * 60 * 1000);
+  const rule = [...this.cancellationPolicy]
+    .sort((a, b) => b.daysBefore - a.daysBefore)
+    .find((el) => daysLeft >= el.daysBefore);
+
+  return rule ? rule.refundPercentage : 0;
+};
+
+// tours matching the search text, with their relevance as `score`
+tourSchema.statics.search = function (text) {
+  return this.find(
+    { $text: { $search: text } },
+    { score: { $meta: 'textScore' } }
+  );
+};
+
+// the [field, text] pairs the text index covers, to highlight the matches of a search
+tourSchema.methods.searchText = function () {
+  const locations = this.locations || [];
+  return [
+    ['name', this.name],
+    ['summary', this.summary],
+    ['description', this.description],
+    ['startLocation', this.startLocation && this.startLocation.description],
+    ['startLocation', this.startLocation && this.startLocation.address],
+    ...locations.map((el) => ['locations', el.description]),
+    ...locations.map((el) => ['locations', el.address]),
+  ];
+};
+
 // DOCUMENT MIDDLEWARE: runs before the .save() command and .create() (not update)
 // pre-middleware functions
 // can act on data before it is saved to database
@@ -158,6 +245,11 @@ tourSchema.pre('save', function (next) {
   next();
 });
 
+// make sure every start date has a departure to sell seats on
+tourSchema.post('save', async function () {
+  await Departure.syncWithTour(this);
+});
+
 // for embedding user documents into tours - worse in this case than referencing
 // tourSchema.pre('save', async function (next) {
 //   const guidesPromises = this.guides.map(async (id) => await User.findById(id));
@@ -180,15 +272,37 @@ tourSchema.pre(/^find/, function (next) {
   next();
 });
 
+// so counts (eg. for pagination) leave them out as well
+tourSchema.pre('countDocuments', function (next) {
+  this.where({ secretTour: { $ne: true } });
+  next();
+});
+
+// Related documents are only populated when a query asks for them with
+// .setOptions({ autopopulate: true }), or with ?populate in the API, so lists
+// stay lean
 tourSchema.pre(/^find/, function (next) {
-  // populate shows the whole user document and not just the id, for the request
+  if (!this.getOptions().autopopulate) return next();
+  // populate shows the guides' user documents and not just the ids
   this.populate({
     path: 'guides',
-    select: '-__v -passwordChangedAt', // remove these from displaying
+    select: 'name photo role',
   });
   next();
 });
 
+// updates don't run the save middleware, so new start dates are synced here
+tourSchema.post('findOneAndUpdate', async (doc) => {
+  if (doc) await Departure.syncWithTour(doc);
+});
+
+// departures with bookings are kept, so the bookings still have their date
+tourSchema.post('findOneAndDelete', async (doc) => {
+  if (!doc) return;
+  const unbooked = await Departure.withoutBookings({ tour: doc._id });
+  await Departure.deleteMany({ _id: { $in: unbooked } });
+});
+
 // post middleware: runs after query has finished
 // tourSchema.post(/^find/, function (docs, next) {
 //   console.log(`Query took ${Date.now() - this.start} milliseconds`);
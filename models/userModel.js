@@ -2,6 +2,10 @@ const crypto = require('crypto');
 const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
+const { authenticator } = require('otplib');
+const currency = require('../utils/currency');
+const passwordPolicy = require('../utils/passwordPolicy');
+const AppError = require('../utils/appError');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,24 +19,91 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     validate: [validator.isEmail, 'Please provide a valid email'],
   },
+  // confirmed by following the link in the verification email
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // new address waiting to be confirmed, email only changes once it is
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    validate: [validator.isEmail, 'Please provide a valid email'],
+  },
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  // when the last verification emails were sent, to limit resending
+  emailVerificationSentAt: {
+    type: [Date],
+    select: false,
+  },
   photo: {
     type: String,
     default: 'default.jpg',
   },
+  // currency prices are shown and charged in, the base currency if not set
+  currency: {
+    type: String,
+    uppercase: true,
+    validate: [currency.isSupported, '{VALUE} is not a supported currency'],
+  },
   role: {
     type: String,
     enum: ['user', 'guide', 'lead-guide', 'admin'],
     default: 'user',
   },
+  // users who log in with an identity provider don't need one
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
-    minLength: 8,
+    required: [
+      function () {
+        return !this.identities.length;
+      },
+      'Please provide a password',
+    ],
+    minLength: [
+      passwordPolicy.minLength,
+      `Your password must have at least ${passwordPolicy.minLength} characters`,
+    ],
+    // this only works on .create and .save, before the password is hashed
+    validate: [
+      {
+        validator: (el) => Buffer.byteLength(el) <= passwordPolicy.maxBytes,
+        message: `Your password can have at most ${passwordPolicy.maxBytes} characters`,
+      },
+      {
+        validator: function (el) {
+          return !passwordPolicy.containsPersonalInfo(el, this);
+        },
+        message: 'Your password must not contain your name or email address',
+      },
+      {
+        validator: (el) => !passwordPolicy.isBreached(el),
+        message:
+          'This password has appeared in a data breach and is not safe to use. Please choose another one',
+      },
+      {
+        validator: async function (el) {
+          return !(await passwordPolicy.isReused(el, this.passwordHistory));
+        },
+        message: `Your password must be different from your last ${passwordPolicy.history} passwords`,
+      },
+    ],
+    select: false,
+  },
+  // hashes of the current and previous passwords, newest first
+  passwordHistory: {
+    type: [String],
     select: false,
   },
   passwordConfirm: {
     type: String,
-    required: [true, 'Please confirm your password'],
+    required: [
+      function () {
+        return this.isModified('password');
+      },
+      'Please confirm your password',
+    ],
     validate: {
       // this only works on .create and .save !
       validator: function (el) {
@@ -41,9 +112,58 @@ const userSchema = new mongoose.Schema({
       message: 'Passwords are not the same',
     },
   },
+  // accounts at identity providers (eg. Google) the user logs in with
+  identities: [
+    {
+      _id: false,
+      provider: {
+        type: String,
+        required: [true, 'An identity must have a provider'],
+      },
+      // the user's id at the provider
+      subject: {
+        type: String,
+        required: [true, 'An identity must have a subject'],
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // secret being set up, until the first code has been verified
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // hashed, each can be used once instead of a code
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // time step of the last code used, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: Date,
+  },
+  // when the account is erased, the user asked for it and can cancel until then
+  erasureScheduledFor: Date,
   active: {
     type: Boolean,
     default: true,
@@ -51,6 +171,11 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, sparse: true }
+);
+
 userSchema.pre('save', async function (next) {
   // Only run this function if password fieldwas actually modified
   if (!this.isModified('password')) return next();
@@ -59,6 +184,12 @@ userSchema.pre('save', async function (next) {
   this.password = await bcrypt.hash(this.password, 12); // 12 is the 'cost' value (generates a salt - random string that makes hash unpredicatable)
   // 'cost' idicates how computational heavy this action will be (12 is current standard). Too high and the encryption process will take too long.
 
+  // remember the last passwords so they can't be used again
+  this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(
+    0,
+    passwordPolicy.history
+  );
+
   // Delete password confirm field
   this.passwordConfirm = undefined; // only need it for inital validation, does not need to be persisted to database
   next();
@@ -77,6 +208,11 @@ userSchema.pre(/^find/, function (next) {
   next();
 });
 
+userSchema.pre('countDocuments', function (next) {
+  this.where({ active: { $ne: false } });
+  next();
+});
+
 // instance methods (available on all documents of a certain schema)
 userSchema.methods.correctPassword = async function (
   candidatePassword,
@@ -112,6 +248,150 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+const EMAIL_VERIFICATION_HOURS = 24;
+// verification emails that can be sent a day, and the time between two of them
+const VERIFICATION_EMAILS_PER_DAY = 5;
+const VERIFICATION_EMAIL_INTERVAL_SECONDS = 60;
+
+// Creates the token that confirms the email address, or the new address that
+// replaces it. Needs +emailVerificationSentAt selected, and the user saved afterwards.
+userSchema.methods.createEmailVerificationToken = function (newEmail) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  this.emailVerificationExpires =
+    Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000;
+  this.pendingEmail = newEmail;
+
+  this.emailVerificationSentAt.push(Date.now());
+  this.emailVerificationSentAt.splice(
+    0,
+    this.emailVerificationSentAt.length - VERIFICATION_EMAILS_PER_DAY
+  );
+
+  return verificationToken;
+};
+
+// seconds until another verification email can be sent, 0 if one can be sent now
+userSchema.methods.verificationEmailWait = function () {
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  const sent = (this.emailVerificationSentAt || [])
+    .map(Number)
+    .filter((el) => el > dayAgo);
+  if (!sent.length) return 0;
+
+  let waitUntil =
+    sent[sent.length - 1] + VERIFICATION_EMAIL_INTERVAL_SECONDS * 1000;
+  if (sent.length >= VERIFICATION_EMAILS_PER_DAY) {
+    waitUntil = Math.max(
+      waitUntil,
+      sent[sent.length - VERIFICATION_EMAILS_PER_DAY] + 24 * 60 * 60 * 1000
+    );
+  }
+  return Math.max(0, Math.ceil((waitUntil - Date.now()) / 1000));
+};
+
+// confirms the address of a verification token, returns the user or null if the token isn't valid
+userSchema.statics.verifyEmail = async function (token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  const user = await this.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+  if (!user) return null;
+
+  if (user.pendingEmail) {
+    // someone else signed up with it in the meantime
+    if (await this.exists({ email: user.pendingEmail })) {
+      throw new AppError('That email address is already in use.', 400);
+    }
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
+
+// accept the codes of the previous and next 30 seconds too, for clocks that are a little off
+authenticator.options = { window: 1 };
+
+const RECOVERY_CODES = 10;
+
+// roles that can only be used after logging in with two-factor authentication
+const TWO_FACTOR_ROLES = ['admin', 'lead-guide'];
+
+userSchema.methods.requiresTwoFactor = function () {
+  return TWO_FACTOR_ROLES.includes(this.role);
+};
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(code.replace(/[^a-z0-9]/gi, '').toLowerCase())
+    .digest('hex');
+
+// starts setting up two-factor authentication, returns the new secret
+userSchema.methods.createTwoFactorSecret = function () {
+  const secret = authenticator.generateSecret();
+  this.twoFactor.pendingSecret = secret;
+  return secret;
+};
+
+// Checks a code against the secret (the pending one while setting up). Each
+// code is only accepted once. Needs +twoFactor.secret/pendingSecret and
+// +twoFactor.lastUsedStep selected, and the user saved afterwards.
+userSchema.methods.checkTwoFactorCode = function (code, pending = false) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret || !code) return false;
+
+  const delta = authenticator.checkDelta(`${code}`.replace(/\s/g, ''), secret);
+  if (delta === null) return false;
+
+  const step =
+    Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+  if (this.twoFactor.lastUsedStep >= step) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// replaces the recovery codes, returns the new ones to show to the user once
+userSchema.methods.createRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODES }, () =>
+    crypto
+      .randomBytes(5)
+      .toString('hex')
+      .replace(/(.{5})/, '$1-')
+  );
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// needs +twoFactor.recoveryCodes selected, and the user saved afterwards
+userSchema.methods.useRecoveryCode = function (code) {
+  if (!code) return false;
+
+  const index = this.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(code));
+  if (index === -1) return false;
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// a code from the authenticator app, or one of the recovery codes
+userSchema.methods.checkSecondFactor = function ({ code, recoveryCode }) {
+  return recoveryCode
+    ? this.useRecoveryCode(recoveryCode)
+    : this.checkTwoFactorCode(code);
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
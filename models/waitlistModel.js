@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const waitlistSchema = new mongoose.Schema({
+  tour: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tour',
+    required: [true, 'A waitlist entry must belong to a tour'],
+  },
+  departure: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Departure',
+    required: [true, 'A waitlist entry must belong to a departure'],
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A waitlist entry must belong to a user'],
+  },
+  participants: {
+    type: Number,
+    default: 1,
+    min: [1, 'A waitlist entry must have at least 1 participant'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'The number of participants must be a whole number',
+    },
+  },
+  // place in the queue, lowest goes first
+  position: {
+    type: Number,
+    required: [true, 'A waitlist entry must have a position'],
+  },
+  status: {
+    type: String,
+    enum: {
+      // claimed: the offer is being paid for in a checkout
+      values: ['waiting', 'offered', 'claimed', 'booked', 'expired', 'removed'],
+      message:
+        'Status is either: waiting, offered, claimed, booked, expired, removed',
+    },
+    default: 'waiting',
+  },
+  // seats are held for the user until the offer expires
+  offerToken: {
+    type: String,
+    select: false,
+  },
+  offerExpiresAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+waitlistSchema.index({ departure: 1, status: 1, position: 1 });
+waitlistSchema.index({ offerToken: 1 });
+
+waitlistSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'user',
+    select: 'name email photo currency',
+  });
+  next();
+});
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+waitlistSchema.methods.createOfferToken = function (hours) {
+  const offerToken = crypto.randomBytes(32).toString('hex');
+
+  this.offerToken = hashToken(offerToken);
+  this.offerExpiresAt = Date.now() + hours * 60 * 60 * 1000;
+
+  return offerToken;
+};
+
+waitlistSchema.statics.findOffer = function (offerToken, user) {
+  return this.findOne({
+    offerToken: hashToken(offerToken),
+    user,
+    status: 'offered',
+    offerExpiresAt: { $gt: Date.now() },
+  });
+};
+
+// atomically hands a valid offer to a checkout, so it can only be used once
+waitlistSchema.statics.claimOffer = function (offerToken, user, departure) {
+  return this.findOneAndUpdate(
+    {
+      offerToken: hashToken(offerToken),
+      user,
+      departure,
+      status: 'offered',
+      offerExpiresAt: { $gt: Date.now() },
+    },
+    { status: 'claimed' },
+    { new: true }
+  );
+};
+
+// The checkout of a claimed offer was not paid: while the offer is valid it
+// gets the held seats back, so the link can be used again. Otherwise the entry
+// expires and null is returned, the seats have to be released.
+waitlistSchema.statics.returnOffer = async function (id) {
+  const offer = await this.findOneAndUpdate(
+    { _id: id, status: 'claimed', offerExpiresAt: { $gt: Date.now() } },
+    { status: 'offered' },
+    { new: true }
+  );
+  if (!offer) {
+    await this.findOneAndUpdate(
+      { _id: id, status: 'claimed' },
+      { status: 'expired' }
+    );
+  }
+  return offer;
+};
+
+// the checkout of the offer has been paid (also when it was paid too late)
+waitlistSchema.statics.markBooked = function (id) {
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: ['claimed', 'expired'] } },
+    { status: 'booked' },
+    { new: true }
+  );
+};
+
+// numbers the waiting entries of a departure 1, 2, 3... with `entry` moved to `position`
+waitlistSchema.statics.moveTo = async function (entry, position) {
+  const entries = await this.find({
+    departure: entry.departure,
+    status: 'waiting',
+    _id: { $ne: entry._id },
+  }).sort('position');
+
+  const index = Math.min(Math.max(position - 1, 0), entries.length);
+  entries.splice(index, 0, entry);
+
+  await this.bulkWrite(
+    entries.map((el, i) => ({
+      updateOne: {
+        filter: { _id: el._id },
+        update: { position: i + 1 },
+      },
+    }))
+  );
+};
+
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+
+module.exports = Waitlist;
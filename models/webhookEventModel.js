@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// every event received from the payment provider, so retried deliveries are only processed once
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'A webhook event must have an event ID'],
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: [true, 'A webhook event must have a type'],
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['processing', 'processed', 'failed', 'ignored'],
+      message: 'Status is either: processing, processed, failed, ignored',
+    },
+    default: 'processing',
+  },
+  payload: {
+    type: Object,
+    required: [true, 'A webhook event must have a payload'],
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // when the current attempt started, to tell a stuck one (eg. after a crash) from a running one
+  processingStartedAt: Date,
+  processedAt: Date,
+});
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -0,0 +1,28 @@
+/* eslint-disable */
+
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+// waitlist: token of a waitlist offer, the seats are already held
+export const bookTour = async (
+  tourId,
+  departureId,
+  participants,
+  waitlist,
+  coupon
+) => {
+  try {
+    // 1) Get checkout session from API
+    const session = await axios({
+      method: 'POST',
+      url: `/api/v1/bookings/checkout-session/${tourId}/${departureId}`,
+      data: { participants, waitlist, coupon },
+    });
+    // console.log(session);
+    // 2) Go to the payment provider's checkout page to charge the credit card
+    location.assign(session.data.session.url);
+  } catch (err) {
+    console.log(err);
+    showAlert('error', err.response ? err.response.data.message : err);
+  }
+};
@@ -0,0 +1,33 @@
+/* eslint-disable */
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+export const applyCoupon = async (code, tour, participants) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/coupons/apply',
+      data: {
+        code,
+        tour,
+        participants,
+      },
+    });
+
+    if (res.data.status === 'success') {
+      const { discount, total, currency } = res.data.data;
+      const format = (amount) =>
+        new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(
+          amount
+        );
+      showAlert(
+        'success',
+        `Code applied! You save ${format(discount)}, your total is ${format(
+          total
+        )}.`
+      );
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
@@ -0,0 +1,19 @@
+/* eslint-disable */
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+export const setCurrency = async (currency) => {
+  try {
+    await axios({
+      method: 'PATCH',
+      url: '/api/v1/users/currency',
+      data: {
+        currency,
+      },
+    });
+
+    location.reload(true);
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
@@ -0,0 +1,30 @@
+/* eslint-disable */
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+export const startImpersonating = async (id, reason) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: `/api/v1/users/${id}/impersonate`,
+      data: { reason },
+    });
+    if (res.data.status === 'success') location.assign('/my-tours');
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const stopImpersonating = async () => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/stopImpersonating',
+    });
+    // back to the admin's account, or logged out if their session ended
+    if (res.data.status === 'success')
+      location.assign(res.data.data ? '/me' : '/');
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
@@ -1,24 +1,69 @@
 /* eslint-disable */
 import '@babel/polyfill';
-import { login, logout } from './login';
-import { updateSettings } from './updateSettings';
-import { bookTour } from './stripe';
+import { login, loginTwoFactor, logout } from './login';
+import { updateSettings, resendVerificationEmail } from './updateSettings';
+import { bookTour } from './checkout';
+import { joinWaitlist } from './waitlist';
+import { applyCoupon } from './coupon';
+import { setCurrency } from './currency';
+import { revokeSession, logoutEverywhere } from './sessions';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  createRecoveryCodes,
+} from './twoFactor';
+import { startImpersonating, stopImpersonating } from './impersonation';
+import { requestErasure, cancelErasure } from './personalData';
 import { showAlert } from './alerts';
 
 // DOM ELEMENTS
 const loginForm = document.querySelector('.form--login');
+const twoFactorForm = document.querySelector('.form--two-factor');
 const logOutBtn = document.querySelector('.nav__el--logout');
 const userDataForm = document.querySelector('.form-user-data');
 const userPasswordForm = document.querySelector('.form-user-password');
+const resendVerificationBtn = document.querySelector(
+  '.btn--resend-verification'
+);
 const bookBtn = document.getElementById('book-tour');
+const departureSelect = document.getElementById('departure');
+const applyCouponBtn = document.getElementById('apply-coupon');
+const currencySelect = document.getElementById('currency');
+const revokeSessionBtns = document.querySelectorAll('.btn--revoke-session');
+const logoutEverywhereBtn = document.querySelector('.btn--logout-everywhere');
+const setupTwoFactorBtn = document.querySelector('.btn--setup-two-factor');
+const enableTwoFactorForm = document.querySelector('.form-two-factor-enable');
+const disableTwoFactorForm = document.querySelector('.form-two-factor-disable');
+const recoveryCodesForm = document.querySelector('.form-recovery-codes');
+const impersonateForm = document.querySelector('.form-impersonate');
+const stopImpersonatingBtn = document.querySelector('.btn--stop-impersonating');
+const requestErasureBtn = document.querySelector('.btn--request-erasure');
+const cancelErasureBtn = document.querySelector('.btn--cancel-erasure');
 
 // DELEGATION
 if (loginForm) {
-  loginForm.addEventListener('submit', (e) => {
+  loginForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     const email = document.getElementById('email').value;
     const password = document.getElementById('password').value;
-    login(email, password);
+    const twoFactorToken = await login(email, password);
+
+    // second step: ask for the code
+    if (twoFactorToken) {
+      twoFactorForm.dataset.twoFactorToken = twoFactorToken;
+      loginForm.hidden = true;
+      twoFactorForm.hidden = false;
+      document.getElementById('two-factor-code').focus();
+    }
+  });
+}
+
+if (twoFactorForm) {
+  twoFactorForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const code = document.getElementById('two-factor-code').value.trim();
+    loginTwoFactor(twoFactorForm.dataset.twoFactorToken, code);
   });
 }
 
@@ -30,11 +75,19 @@ if (userDataForm) {
     const form = new FormData(); // multi-part form data
     form.append('name', document.getElementById('name').value);
     form.append('email', document.getElementById('email').value);
+    form.append('currency', document.getElementById('user-currency').value);
     form.append('photo', document.getElementById('photo').files[0]);
     updateSettings(form, 'data');
   });
 }
 
+if (resendVerificationBtn) {
+  resendVerificationBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    resendVerificationEmail();
+  });
+}
+
 if (userPasswordForm) {
   userPasswordForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -55,13 +108,120 @@ if (userPasswordForm) {
   });
 }
 
+// sold out dates can only be waitlisted
+const bookBtnText = () =>
+  departureSelect.selectedOptions[0].dataset.soldOut
+    ? 'Join the waitlist'
+    : 'Book tour now!';
+
+if (departureSelect) {
+  departureSelect.addEventListener('change', () => {
+    bookBtn.textContent = bookBtnText();
+  });
+}
+
 if (bookBtn) {
-  bookBtn.addEventListener('click', (e) => {
+  bookBtn.addEventListener('click', async (e) => {
     e.target.textContent = 'Processing...';
-    const { tourId } = e.target.dataset;
-    bookTour(tourId);
+    const { tourId, departureId, waitlist } = e.target.dataset;
+
+    // seats held for a waitlist offer
+    if (waitlist) return bookTour(tourId, departureId, undefined, waitlist);
+
+    const option = departureSelect.selectedOptions[0];
+    const participants = document.getElementById('participants').value;
+    if (option.dataset.soldOut) {
+      await joinWaitlist(tourId, option.value, participants);
+      e.target.textContent = bookBtnText();
+    } else {
+      const coupon = document.getElementById('coupon').value || undefined;
+      bookTour(tourId, option.value, participants, undefined, coupon);
+    }
+  });
+}
+
+if (applyCouponBtn) {
+  applyCouponBtn.addEventListener('click', (e) => {
+    const code = document.getElementById('coupon').value;
+    const participants = document.getElementById('participants').value;
+    if (code) applyCoupon(code, e.target.dataset.tourId, participants);
+  });
+}
+
+if (currencySelect) {
+  currencySelect.addEventListener('change', (e) => setCurrency(e.target.value));
+}
+
+revokeSessionBtns.forEach((btn) =>
+  btn.addEventListener('click', (e) => {
+    e.target.textContent = 'Logging out...';
+    revokeSession(e.target.dataset.sessionId);
+  })
+);
+
+if (logoutEverywhereBtn) {
+  logoutEverywhereBtn.addEventListener('click', logoutEverywhere);
+}
+
+if (setupTwoFactorBtn) {
+  setupTwoFactorBtn.addEventListener('click', async (e) => {
+    e.target.textContent = 'Setting up...';
+    const setup = await setupTwoFactor();
+    if (!setup) {
+      e.target.textContent = 'Set up two-factor authentication';
+      return;
+    }
+    document.getElementById('two-factor-qr').src = setup.qrCode;
+    document.getElementById('two-factor-secret').textContent = setup.secret;
+    e.target.hidden = true;
+    enableTwoFactorForm.hidden = false;
+  });
+}
+
+if (enableTwoFactorForm) {
+  enableTwoFactorForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    enableTwoFactor(document.getElementById('two-factor-enable-code').value);
+  });
+}
+
+if (disableTwoFactorForm) {
+  disableTwoFactorForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const code = document.getElementById('two-factor-disable-code').value;
+    disableTwoFactor(code.trim());
+  });
+}
+
+if (recoveryCodesForm) {
+  recoveryCodesForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    createRecoveryCodes(document.getElementById('recovery-codes-code').value);
+  });
+}
+
+if (impersonateForm) {
+  impersonateForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const id = document.getElementById('impersonate-user').value.trim();
+    const reason = document.getElementById('impersonate-reason').value;
+    startImpersonating(id, reason);
   });
 }
 
+if (stopImpersonatingBtn) {
+  stopImpersonatingBtn.addEventListener('click', stopImpersonating);
+}
+
+if (requestErasureBtn) {
+  requestErasureBtn.addEventListener('click', () => {
+    if (window.confirm('Do you really want to delete your account?')) {
+      requestErasure();
+    }
+  });
+}
+
+if (cancelErasureBtn) cancelErasureBtn.addEventListener('click', cancelErasure);
+
 const alertMessage = document.querySelector('body').dataset.alert;
 if (alertMessage) showAlert('success', alertMessage, 20);
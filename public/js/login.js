@@ -13,6 +13,32 @@ export const login = async (email, password) => {
       },
     });
 
+    // the account has two-factor authentication, a code is needed as well
+    if (res.data.twoFactorRequired) return res.data.twoFactorToken;
+
+    if (res.data.status === 'success') {
+      showAlert('success', 'Logged in successfully');
+      window.setTimeout(() => {
+        location.assign('/');
+      }, 1500);
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const loginTwoFactor = async (twoFactorToken, code) => {
+  try {
+    // recovery codes look like xxxxx-xxxxx, app codes are 6 digits
+    const data = code.includes('-')
+      ? { twoFactorToken, recoveryCode: code }
+      : { twoFactorToken, code };
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/login/twoFactor',
+      data,
+    });
+
     if (res.data.status === 'success') {
       showAlert('success', 'Logged in successfully');
       window.setTimeout(() => {
@@ -0,0 +1,33 @@
+/* eslint-disable */
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+export const requestErasure = async () => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/me/erasure',
+    });
+    if (res.data.status === 'success') {
+      showAlert('success', res.data.message);
+      window.setTimeout(() => location.reload(true), 3000);
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const cancelErasure = async () => {
+  try {
+    const res = await axios({
+      method: 'DELETE',
+      url: '/api/v1/users/me/erasure',
+    });
+    if (res.data.status === 'success') {
+      showAlert('success', 'Your account will not be erased.');
+      window.setTimeout(() => location.reload(true), 1500);
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
@@ -0,0 +1,27 @@
+/* eslint-disable */
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+export const revokeSession = async (id) => {
+  try {
+    await axios({
+      method: 'DELETE',
+      url: `/api/v1/users/me/sessions/${id}`,
+    });
+    location.reload(true);
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const logoutEverywhere = async () => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/logoutEverywhere',
+    });
+    if (res.data.status === 'success') location.assign('/');
+  } catch (err) {
+    showAlert('error', 'Error logging out! Try again.');
+  }
+};
@@ -0,0 +1,70 @@
+/* eslint-disable */
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+// recovery codes are only shown once, right after they were created
+const showRecoveryCodes = (codes) => {
+  const list = document.getElementById('recovery-codes');
+  list.innerHTML = codes.map((code) => `<li>${code}</li>`).join('');
+  list.closest('.two-factor__recovery').hidden = false;
+};
+
+export const setupTwoFactor = async () => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/twoFactor/setup',
+    });
+    if (res.data.status === 'success') return res.data.data;
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const enableTwoFactor = async (code) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/twoFactor/enable',
+      data: { code },
+    });
+    if (res.data.status === 'success') {
+      showAlert('success', 'Two-factor authentication turned on!');
+      document.querySelector('.two-factor__setup').hidden = true;
+      showRecoveryCodes(res.data.data.recoveryCodes);
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const disableTwoFactor = async (code) => {
+  try {
+    // recovery codes look like xxxxx-xxxxx, app codes are 6 digits
+    const data = code.includes('-') ? { recoveryCode: code } : { code };
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/twoFactor/disable',
+      data,
+    });
+    if (res.data.status === 'success') location.reload(true);
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
+
+export const createRecoveryCodes = async (code) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/twoFactor/recoveryCodes',
+      data: { code },
+    });
+    if (res.data.status === 'success') {
+      showAlert('success', 'New recovery codes created!');
+      showRecoveryCodes(res.data.data.recoveryCodes);
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
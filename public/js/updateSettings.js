@@ -16,9 +16,25 @@ export const updateSettings = async (data, type) => {
     });
 
     if (res.data.status === 'success') {
-      showAlert('success', `${type.toUpperCase()} updated successfully!`);
+      showAlert(
+        'success',
+        res.data.message || `${type.toUpperCase()} updated successfully!`
+      );
     }
   } catch (err) {
     showAlert('error', err.response.data.message);
   }
 };
+
+export const resendVerificationEmail = async () => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: '/api/v1/users/resendVerificationEmail',
+    });
+
+    if (res.data.status === 'success') showAlert('success', res.data.message);
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
@@ -0,0 +1,24 @@
+/* eslint-disable */
+import axios from 'axios';
+import { showAlert } from './alerts';
+
+export const joinWaitlist = async (tourId, departureId, participants) => {
+  try {
+    const res = await axios({
+      method: 'POST',
+      url: `/api/v1/tours/${tourId}/departures/${departureId}/waitlist`,
+      data: {
+        participants,
+      },
+    });
+
+    if (res.data.status === 'success') {
+      showAlert(
+        'success',
+        "You're on the waitlist! We'll email you as soon as a place opens up."
+      );
+    }
+  } catch (err) {
+    showAlert('error', err.response.data.message);
+  }
+};
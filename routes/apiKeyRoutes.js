@@ -0,0 +1,25 @@
+const express = require('express');
+const apiKeyController = require('../controllers/apiKeyController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+router.use(authController.protect, authController.notWhileImpersonating);
+
+router
+  .route('/')
+  .get(
+    authController.authorize('ApiKey', 'read'),
+    apiKeyController.getMyApiKeys
+  )
+  .post(
+    authController.authorize('ApiKey', 'create'),
+    apiKeyController.createApiKey
+  );
+router.delete(
+  '/:id',
+  authController.authorize('ApiKey', 'delete'),
+  apiKeyController.revokeApiKey
+);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const auditLogController = require('../controllers/auditLogController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+router.use(authController.protect, authController.authorize('AuditLog'));
+
+router.get('/', auditLogController.getAllAuditLogs);
+router.get('/:id', auditLogController.getAuditLog);
+
+module.exports = router;
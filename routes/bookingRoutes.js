@@ -1,14 +1,34 @@
 const express = require('express');
 const bookingController = require('../controllers/bookingController');
 const authController = require('../controllers/authController');
+const invoiceController = require('../controllers/invoiceController');
 
 const router = express.Router();
 
 router.use(authController.protect);
 
-router.get('/checkout-session/:tourId', bookingController.getCheckoutSession);
+// a POST, so API keys need bookings:write to start a checkout
+router.post(
+  '/checkout-session/:tourId/:departureId',
+  authController.notWhileImpersonating,
+  authController.requireVerifiedEmail,
+  bookingController.getCheckoutSession
+);
 
-router.use(authController.restrictTo('admin', 'lead-guides'));
+router.patch(
+  '/:id/cancel',
+  authController.notWhileImpersonating,
+  authController.authorize('Booking', 'cancel'),
+  bookingController.cancelBooking
+);
+router.get(
+  '/:id/invoice',
+  authController.authorize('Booking', 'readInvoice'),
+  invoiceController.getBookingInvoice
+);
+
+// admins manage all bookings, lead guides see the ones of their tours and users their own (utils/policy)
+router.use(authController.authorize('Booking'));
 
 router
   .route('/')
@@ -21,4 +41,6 @@ router
   .patch(bookingController.updateBooking)
   .delete(bookingController.deleteBooking);
 
+router.patch('/:id/status', bookingController.updateBookingStatus);
+
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const couponController = require('../controllers/couponController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+router.use(authController.protect);
+
+router.post('/apply', couponController.applyCoupon);
+
+router.use(authController.authorize('Coupon'));
+
+router
+  .route('/')
+  .get(couponController.getAllCoupons)
+  .post(couponController.createCoupon);
+
+router
+  .route('/:id')
+  .get(couponController.getCoupon)
+  .patch(couponController.updateCoupon)
+  .delete(couponController.deleteCoupon);
+
+module.exports = router;
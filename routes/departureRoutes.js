@@ -0,0 +1,34 @@
+const express = require('express');
+const departureController = require('../controllers/departureController');
+const authController = require('../controllers/authController');
+const waitlistRouter = require('./waitlistRoutes');
+
+const router = express.Router({ mergeParams: true }); // allows us access to tourID from tour router
+
+router.use('/:departureId/waitlist', waitlistRouter);
+
+router
+  .route('/')
+  .get(departureController.getAllDepartures)
+  .post(
+    authController.protect,
+    authController.authorize('Departure', 'create'),
+    departureController.setTourId,
+    departureController.createDeparture
+  );
+
+router
+  .route('/:id')
+  .get(departureController.getDeparture)
+  .patch(
+    authController.protect,
+    authController.authorize('Departure', 'update'),
+    departureController.updateDeparture
+  )
+  .delete(
+    authController.protect,
+    authController.authorize('Departure', 'delete'),
+    departureController.deleteDeparture
+  );
+
+module.exports = router;
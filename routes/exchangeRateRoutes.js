@@ -0,0 +1,18 @@
+const express = require('express');
+const currencyController = require('../controllers/currencyController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+router.get('/', currencyController.getAllExchangeRates);
+router.get('/:id', currencyController.getExchangeRate);
+
+router.use(authController.protect, authController.authorize('ExchangeRate'));
+
+router.post('/', currencyController.createExchangeRate);
+router
+  .route('/:id')
+  .patch(currencyController.updateExchangeRate)
+  .delete(currencyController.deleteExchangeRate);
+
+module.exports = router;
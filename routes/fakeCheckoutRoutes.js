@@ -0,0 +1,11 @@
+const express = require('express');
+const fakeCheckoutController = require('../controllers/fakeCheckoutController');
+
+// only mounted when PAYMENT_PROVIDER=fake
+const router = express.Router();
+
+router.get('/:id', fakeCheckoutController.getCheckoutPage);
+router.post('/:id/pay', fakeCheckoutController.payCheckout);
+router.post('/:id/cancel', fakeCheckoutController.cancelCheckout);
+
+module.exports = router;
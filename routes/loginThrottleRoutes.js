@@ -0,0 +1,20 @@
+const express = require('express');
+const loginThrottleController = require('../controllers/loginThrottleController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+router.use(authController.protect, authController.authorize('LoginThrottle'));
+
+router.get(
+  '/locked',
+  loginThrottleController.aliasLockouts,
+  loginThrottleController.getAllLoginThrottles
+);
+router.get('/', loginThrottleController.getAllLoginThrottles);
+router
+  .route('/:id')
+  .get(loginThrottleController.getLoginThrottle)
+  .delete(loginThrottleController.deleteLoginThrottle);
+
+module.exports = router;
@@ -10,7 +10,8 @@ router
   .route('/')
   .get(reviewController.getAllReviews)
   .post(
-    authController.restrictTo('user'),
+    authController.authorize('Review', 'create'),
+    authController.requireVerifiedEmail,
     reviewController.setTourUserIds,
     reviewController.createReview
   );
@@ -19,11 +20,11 @@ router
   .route('/:id')
   .get(reviewController.getReview)
   .patch(
-    authController.restrictTo('user', 'admin'),
+    authController.authorize('Review', 'update'),
     reviewController.updateReview
   )
   .delete(
-    authController.restrictTo('user', 'admin'),
+    authController.authorize('Review', 'delete'),
     reviewController.deleteReview
   );
 
@@ -2,6 +2,7 @@ const express = require('express');
 const tourController = require('../controllers/tourController');
 const authController = require('../controllers/authController');
 const reviewRouter = require('./reviewRoutes');
+const departureRouter = require('./departureRoutes');
 
 const router = express.Router();
 
@@ -9,17 +10,20 @@ const router = express.Router();
 
 // when this endpoint happens, reroute to reviewRouter
 router.use('/:tourId/reviews', reviewRouter); // mounting review route on the endpoint
+router.use('/:tourId/departures', departureRouter);
 
 router
   .route('/top-5-cheap')
   .get(tourController.aliasTopTours, tourController.getAllTours);
 
+router.get('/search', tourController.searchTours);
+router.get('/facets', tourController.getTourFacets);
 router.route('/tour-stats').get(tourController.getTourStats);
 router
   .route('/monthly-plan/:year')
   .get(
     authController.protect,
-    authController.restrictTo('admin', 'lead-guide', 'guide'),
+    authController.authorize('Tour', 'readMonthlyPlan'),
     tourController.getMonthlyPlan
   );
 
@@ -34,7 +38,7 @@ router
   .get(tourController.getAllTours)
   .post(
     authController.protect,
-    authController.restrictTo('admin', 'lead-guide'),
+    authController.authorize('Tour', 'create'),
     tourController.createTour
   );
 router
@@ -42,14 +46,15 @@ router
   .get(tourController.getTour)
   .patch(
     authController.protect,
-    authController.restrictTo('admin', 'lead-guide'),
+    authController.authorize('Tour', 'update'),
+    tourController.checkUpdateAccess,
     tourController.uploadTourImages,
     tourController.resizeTourImages,
     tourController.updateTour
   )
   .delete(
     authController.protect,
-    authController.restrictTo('admin', 'lead-guide'),
+    authController.authorize('Tour', 'delete'),
     tourController.deleteTour
   );
 
@@ -1,31 +1,97 @@
 const express = require('express');
 const userController = require('../controllers/userController');
 const authController = require('../controllers/authController');
+const currencyController = require('../controllers/currencyController');
+const twoFactorController = require('../controllers/twoFactorController');
+const emailVerificationController = require('../controllers/emailVerificationController');
+const personalDataController = require('../controllers/personalDataController');
 
 const router = express.Router();
 
 router.post('/signup', authController.signup);
 router.post('/login', authController.login);
+router.post('/login/twoFactor', authController.loginTwoFactor);
 router.get('/logout', authController.logout);
+router.post('/logout', authController.logout);
+router.post('/refresh', authController.refresh);
 router.post('/forgotPassword', authController.forgotPassword);
 router.patch('/resetPassword/:token', authController.resetPassword);
+router.patch('/verifyEmail/:token', emailVerificationController.verifyEmail);
+router.patch('/currency', currencyController.setCurrency);
 
 // applies protect middleware (must be logged in) to all routes
 // after this point, since middleware happens in sequence
 router.use(authController.protect);
 
-router.patch('/updateMyPassword', authController.updatePassword);
+router.post('/stopImpersonating', authController.stopImpersonating);
+router.post(
+  '/resendVerificationEmail',
+  emailVerificationController.resendVerificationEmail
+);
+router.get('/me/sessions', authController.getMySessions);
 router.get('/me', userController.getMe, userController.getUser);
+
+// changes to the account only the user may make, not an admin impersonating them
+router.patch(
+  '/updateMyPassword',
+  authController.notWhileImpersonating,
+  authController.updatePassword
+);
+router.post(
+  '/logoutEverywhere',
+  authController.notWhileImpersonating,
+  authController.logoutEverywhere
+);
+router.use('/twoFactor', authController.notWhileImpersonating);
+router.post('/twoFactor/setup', twoFactorController.setupTwoFactor);
+router.post('/twoFactor/enable', twoFactorController.enableTwoFactor);
+router.post('/twoFactor/disable', twoFactorController.disableTwoFactor);
+router.post(
+  '/twoFactor/recoveryCodes',
+  twoFactorController.createRecoveryCodes
+);
+router.delete(
+  '/me/sessions/:id',
+  authController.notWhileImpersonating,
+  authController.revokeMySession
+);
 router.patch(
   '/updateMe',
+  authController.notWhileImpersonating,
   userController.uploadUserPhoto,
   userController.resizeUserPhoto,
   userController.updateMe
 );
-router.delete('/deleteMe', userController.deleteMe);
+router.get(
+  '/me/export',
+  authController.notWhileImpersonating,
+  personalDataController.exportMyData
+);
+// the account is erased after a grace period, it can be cancelled until then
+router
+  .route('/me/erasure')
+  .post(
+    authController.notWhileImpersonating,
+    personalDataController.requestErasure
+  )
+  .delete(
+    authController.notWhileImpersonating,
+    personalDataController.cancelErasure
+  );
+router.delete(
+  '/deleteMe',
+  authController.notWhileImpersonating,
+  personalDataController.requestErasure
+);
+
+router.post(
+  '/:id/impersonate',
+  authController.authorize('User', 'impersonate'),
+  authController.startImpersonating
+);
 
-// from this point on, all routes are restricted to admins
-router.use(authController.restrictTo('admin'));
+// from this point on, all routes are for managing users (admins only)
+router.use(authController.authorize('User'));
 
 router
   .route('/')
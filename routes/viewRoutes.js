@@ -1,6 +1,7 @@
 const express = require('express');
 const viewsController = require('../controllers/viewsController');
 const authController = require('../controllers/authController');
+const currencyController = require('../controllers/currencyController');
 
 const router = express.Router();
 
@@ -10,16 +11,42 @@ router.get(
   '/',
   // bookingController.createBookingCheckout,
   authController.isLoggedIn,
+  currencyController.localizePrices,
   viewsController.getOverview
 );
-router.get('/tour/:slug', authController.isLoggedIn, viewsController.getTour);
+router.get(
+  '/tour/:slug',
+  authController.isLoggedIn,
+  currencyController.localizePrices,
+  viewsController.getTour
+);
 router.get('/login', authController.isLoggedIn, viewsController.getLoginForm);
-router.get('/me', authController.protect, viewsController.getAccount);
-router.get('/my-tours', authController.protect, viewsController.getMyTours);
+router.get('/login/:provider', authController.oidcLogin);
+router.get('/login/:provider/callback', authController.oidcCallback);
+router.get('/verify-email/:token', viewsController.verifyEmail);
+router.get(
+  '/me',
+  authController.protect,
+  currencyController.localizePrices,
+  viewsController.getAccount
+);
+router.get(
+  '/me/sessions',
+  authController.protect,
+  viewsController.getMySessions
+);
+router.get(
+  '/my-tours',
+  authController.protect,
+  currencyController.localizePrices,
+  viewsController.getMyTours
+);
 
 router.post(
   '/submit-user-data',
   authController.protect,
+  authController.notWhileImpersonating,
+  currencyController.localizePrices,
   viewsController.updateUserData
 );
 
@@ -0,0 +1,32 @@
+const express = require('express');
+const waitlistController = require('../controllers/waitlistController');
+const authController = require('../controllers/authController');
+
+const router = express.Router({ mergeParams: true }); // allows us access to tourId and departureId
+
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(
+    authController.authorize('Waitlist', 'read'),
+    waitlistController.getWaitlist
+  )
+  .post(
+    authController.notWhileImpersonating,
+    authController.requireVerifiedEmail,
+    waitlistController.joinWaitlist
+  );
+
+router
+  .route('/:id')
+  .patch(
+    authController.authorize('Waitlist', 'update'),
+    waitlistController.moveWaitlistEntry
+  )
+  .delete(
+    authController.authorize('Waitlist', 'leave'),
+    waitlistController.leaveWaitlist
+  );
+
+module.exports = router;
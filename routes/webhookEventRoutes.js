@@ -0,0 +1,25 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+router.use(authController.protect);
+
+router.get(
+  '/',
+  authController.authorize('WebhookEvent', 'read'),
+  webhookController.getAllWebhookEvents
+);
+router.get(
+  '/:id',
+  authController.authorize('WebhookEvent', 'read'),
+  webhookController.getWebhookEvent
+);
+router.post(
+  '/:id/retry',
+  authController.authorize('WebhookEvent', 'update'),
+  webhookController.retryWebhookEvent
+);
+
+module.exports = router;
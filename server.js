@@ -11,6 +11,9 @@ process.on('uncaughtException', (err) => {
 
 dotenv.config({ path: './config.env' });
 const app = require('./app');
+const schedule = require('./utils/schedule');
+const waitlistController = require('./controllers/waitlistController');
+const personalDataController = require('./controllers/personalDataController');
 
 const DB = process.env.DATABASE.replace(
   '<PASSWORD>',
@@ -44,6 +47,14 @@ mongoose
 //     console.log('ERROR: ', err);
 //   });
 
+// background jobs
+schedule('expire waitlist offers', waitlistController.expireOffers, 60 * 1000);
+schedule(
+  'erase accounts',
+  personalDataController.eraseDueAccounts,
+  60 * 60 * 1000
+);
+
 const port = process.env.PORT || 3000;
 const server = app.listen(port, () => {
   console.log(`App running on port ${port}...`);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Tour = require('../models/tourModel');
+const APIFeatures = require('../utils/apiFeatures');
+
+const cursor = (value, id) =>
+  Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const features = (queryString) =>
+  new APIFeatures(Tour.find(), queryString)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Cursor pagination', () => {
+  it('sorts by the id, newest first, without ?sort', () => {
+    const { query, limit } = features({ cursor: '' });
+
+    expect(query.getOptions().sort).toEqual({ _id: -1 });
+    expect(query.getOptions().limit).toBe(limit + 1);
+  });
+
+  it('continues after the last document of the page before', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const { query } = features({ sort: 'price', cursor: cursor(497, id) });
+
+    expect(query.getOptions().sort).toEqual({ price: 1, _id: 1 });
+    expect(query.getFilter().$and).toEqual([
+      { $or: [{ price: { $gt: 497 } }, { price: 497, _id: { $gt: id } }] },
+    ]);
+  });
+
+  it('only sorts by fields that can be filtered on', () => {
+    expect(() => features({ sort: 'secretTour', cursor: '' })).toThrow(
+      "Cursor pages can't be sorted by secretTour."
+    );
+    expect(() => features({ sort: 'price,name', cursor: '' })).toThrow(
+      'Cursor pagination can only sort by one field.'
+    );
+  });
+
+  it('selects the sort field for the next cursor', () => {
+    const { query } = features({ sort: 'price', fields: 'name', cursor: '' });
+    expect(query.projection()).toEqual({ name: 1, price: 1 });
+
+    expect(() =>
+      features({ sort: 'price', fields: '-price', cursor: '' })
+    ).toThrow('Cursor pages sorted by price need it in ?fields.');
+  });
+
+  it.each([
+    ['not a cursor', 'abc'],
+    [
+      'an operator as the value',
+      cursor({ $ne: null }, '5c88fa8cf4afda39709c2951'),
+    ],
+    ['an operator as the id', cursor(497, { $gt: '' })],
+    ['an id that is not an ObjectId', cursor(497, 'abc')],
+  ])('rejects %s', (description, value) => {
+    expect(() => features({ sort: 'price', cursor: value })).toThrow(
+      'Invalid cursor. Please use the next link of a page.'
+    );
+  });
+
+  it('links to the next page only when there is one', async () => {
+    const docs = [400, 450, 500].map((price) =>
+      Tour.hydrate({ _id: new mongoose.Types.ObjectId(), price })
+    );
+    jest.spyOn(mongoose.Query.prototype, 'exec').mockResolvedValue(docs);
+
+    const page = await features({
+      sort: 'price',
+      limit: '2',
+      cursor: '',
+    }).paginated('/api/v1/tours?sort=price&limit=2&cursor=');
+
+    expect(page.docs).toHaveLength(2);
+    const next = new URL(page.pagination.next, 'http://localhost');
+    expect(next.pathname).toBe('/api/v1/tours');
+    expect(next.searchParams.get('cursor')).toBe(cursor(450, docs[1].id));
+
+    jest
+      .spyOn(mongoose.Query.prototype, 'exec')
+      .mockResolvedValue(docs.slice(0, 2));
+    const last = await features({
+      sort: 'price',
+      limit: '2',
+      cursor: '',
+    }).paginated('/api/v1/tours?sort=price&limit=2&cursor=');
+    expect(last.pagination.next).toBeNull();
+  });
+});
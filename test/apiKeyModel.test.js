@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/apiKeyModel');
+
+const key = (scopes) =>
+  new ApiKey({ name: 'Partner', user: new mongoose.Types.ObjectId(), scopes });
+
+// what a route sees: the path of the router it is mounted on
+const req = (method, baseUrl) => ({ method, baseUrl });
+
+describe('API key scopes', () => {
+  it('allows reading tours and their departures with tours:read', () => {
+    const apiKey = key(['tours:read']);
+
+    expect(apiKey.allows(req('GET', '/api/v1/tours'))).toBe(true);
+    expect(
+      apiKey.allows(
+        req('GET', '/api/v1/tours/5c88fa8cf4afda39709c2951/departures')
+      )
+    ).toBe(true);
+    expect(apiKey.allows(req('HEAD', '/api/v1/tours'))).toBe(true);
+  });
+
+  it('needs tours:write for anything but reading tours', () => {
+    expect(key(['tours:read']).allows(req('PATCH', '/api/v1/tours'))).toBe(
+      false
+    );
+    expect(key(['tours:write']).allows(req('PATCH', '/api/v1/tours'))).toBe(
+      true
+    );
+    expect(key(['tours:write']).allows(req('GET', '/api/v1/tours'))).toBe(
+      false
+    );
+  });
+
+  it('does not cover routers nested under a resource', () => {
+    const apiKey = key(['tours:read', 'tours:write']);
+
+    expect(
+      apiKey.allows(
+        req('GET', '/api/v1/tours/5c88fa8cf4afda39709c2951/reviews')
+      )
+    ).toBe(false);
+    expect(
+      apiKey.allows(
+        req(
+          'GET',
+          '/api/v1/tours/5c88fa8cf4afda39709c2951/departures/5c88fa8cf4afda39709c2952/waitlist'
+        )
+      )
+    ).toBe(false);
+  });
+
+  it('needs bookings:write to start a checkout or cancel a booking', () => {
+    // both go through the bookings router, as POST and PATCH
+    expect(key(['bookings:read']).allows(req('POST', '/api/v1/bookings'))).toBe(
+      false
+    );
+    expect(
+      key(['bookings:read']).allows(req('PATCH', '/api/v1/bookings'))
+    ).toBe(false);
+    expect(
+      key(['bookings:write']).allows(req('POST', '/api/v1/bookings'))
+    ).toBe(true);
+    expect(key(['bookings:read']).allows(req('GET', '/api/v1/bookings'))).toBe(
+      true
+    );
+  });
+
+  it('is not allowed anywhere else', () => {
+    const apiKey = key(['tours:read', 'bookings:read']);
+
+    expect(apiKey.allows(req('GET', '/api/v1/users'))).toBe(false);
+    expect(apiKey.allows(req('GET', '/api/v1/reviews'))).toBe(false);
+    expect(apiKey.allows(req('GET', '/api/v1/api-keys'))).toBe(false);
+  });
+
+  it('only accepts known scopes', () => {
+    const error = key(['users:read']).validateSync();
+
+    expect(error.errors['scopes.0'].message).toMatch(/^Scopes are:/);
+    expect(key([]).validateSync().errors.scopes.message).toBe(
+      'An API key needs at least one scope'
+    );
+  });
+});
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/bookingModel');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// a booking as it is loaded from the database
+const loaded = (status) =>
+  Booking.hydrate({
+    _id: id(),
+    tour: id(),
+    user: id(),
+    participants: 1,
+    price: 500,
+    status,
+    statusHistory: [{ status, at: new Date() }],
+  });
+
+describe('Booking status', () => {
+  it.each([
+    ['pending', 'confirmed', true],
+    ['pending', 'cancelled', true],
+    ['pending', 'refunded', false],
+    ['confirmed', 'refunded', true],
+    ['confirmed', 'pending', false],
+    ['cancelled', 'refunded', true],
+    ['cancelled', 'confirmed', false],
+    ['refunded', 'cancelled', false],
+    ['completed', 'cancelled', false],
+  ])('%s can move to %s: %s', (from, to, allowed) => {
+    expect(loaded(from).canTransitionTo(to)).toBe(allowed);
+  });
+
+  it('records a transition in the history', () => {
+    const by = id();
+    const booking = loaded('pending').transitionTo('confirmed', {
+      by,
+      note: 'Paid',
+    });
+
+    expect(booking.status).toBe('confirmed');
+    const last = booking.statusHistory[booking.statusHistory.length - 1];
+    expect(last.status).toBe('confirmed');
+    expect(last.by).toEqual(by);
+    expect(last.note).toBe('Paid');
+  });
+
+  it('refuses a transition the status does not allow', () => {
+    expect(() => loaded('refunded').transitionTo('confirmed')).toThrow(
+      'A refunded booking cannot be changed to confirmed.'
+    );
+  });
+
+  it('refuses to save a status the loaded one cannot move to', async () => {
+    const booking = loaded('cancelled');
+    booking.status = 'confirmed';
+
+    await expect(booking.save()).rejects.toThrow(
+      'A cancelled booking cannot be changed to confirmed.'
+    );
+  });
+
+  it('only moves bookings in a status that allows it', () => {
+    const bookingId = id();
+    const query = Booking.transition(bookingId, 'refunded', { note: 'Test' });
+
+    expect(query.getFilter()).toEqual({
+      _id: bookingId,
+      status: { $in: ['confirmed', 'cancelled'] },
+    });
+    expect(query.getUpdate()).toMatchObject({
+      status: 'refunded',
+      $push: { statusHistory: { status: 'refunded', note: 'Test' } },
+    });
+    expect(query.getOptions()).toMatchObject({ statusTransition: true });
+  });
+
+  it('refuses status changes by plain updates', async () => {
+    await expect(
+      Booking.findByIdAndUpdate(id(), { status: 'confirmed' })
+    ).rejects.toThrow(
+      'Booking status can only be changed with a status transition.'
+    );
+  });
+});
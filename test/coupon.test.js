@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/couponModel');
+const Booking = require('../models/bookingModel');
+const couponController = require('../controllers/couponController');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const tour = { _id: id(), difficulty: 'easy', price: 500 };
+
+const coupon = (fields) =>
+  Coupon.hydrate({
+    _id: id(),
+    code: 'SUMMER',
+    type: 'percentage',
+    amount: 10,
+    redemptions: 0,
+    tours: [],
+    difficulties: [],
+    active: true,
+    ...fields,
+  });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Coupon limits', () => {
+  it('can be used while it is valid', () => {
+    expect(() => coupon().checkFor(tour)).not.toThrow();
+  });
+
+  it.each([
+    [{ active: false }, 'The code SUMMER has expired.'],
+    [{ validUntil: new Date('2000-01-01') }, 'The code SUMMER has expired.'],
+    [
+      { validFrom: new Date('2100-01-01') },
+      'The code SUMMER is not valid yet.',
+    ],
+    [
+      { maxRedemptions: 2, redemptions: 2 },
+      'The code SUMMER has been used up.',
+    ],
+    [{ tours: [id()] }, 'The code SUMMER is not valid for this tour.'],
+    [
+      { difficulties: ['difficult'] },
+      'The code SUMMER is not valid for this tour.',
+    ],
+  ])('refuses %o', (fields, message) => {
+    expect(() => coupon(fields).checkFor(tour)).toThrow(message);
+  });
+
+  it('never takes off more than the total', () => {
+    expect(coupon({ type: 'fixed', amount: 800 }).discountFor(500)).toBe(500);
+    expect(coupon().discountFor(500)).toBe(50);
+  });
+
+  it('counts a redemption only while the coupon and the user have some left', () => {
+    const couponId = id();
+    const user = id();
+    const query = Coupon.redeem(couponId, user);
+
+    expect(query.getFilter()).toEqual({
+      _id: couponId,
+      $and: [
+        {
+          $or: [
+            { maxRedemptions: null },
+            { $expr: { $lt: ['$redemptions', '$maxRedemptions'] } },
+          ],
+        },
+        {
+          $or: [
+            { perUserLimit: null },
+            {
+              $expr: {
+                $lt: [
+                  { $ifNull: [`$userRedemptions.${user}`, 0] },
+                  '$perUserLimit',
+                ],
+              },
+            },
+          ],
+        },
+      ],
+    });
+    expect(query.getUpdate()).toEqual({
+      $inc: { redemptions: 1, [`userRedemptions.${user}`]: 1 },
+    });
+  });
+
+  it('gives a redemption back to the user who made it', async () => {
+    const couponId = id();
+    const user = id();
+    const update = jest
+      .spyOn(Coupon, 'findOneAndUpdate')
+      .mockResolvedValue(coupon());
+
+    await Coupon.release(couponId, user);
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update).toHaveBeenCalledWith(
+      {
+        _id: couponId,
+        redemptions: { $gt: 0 },
+        [`userRedemptions.${user}`]: { $gt: 0 },
+      },
+      { $inc: { redemptions: -1, [`userRedemptions.${user}`]: -1 } },
+      { new: true }
+    );
+  });
+
+  it('refuses a user who has used the code the maximum number of times', async () => {
+    jest
+      .spyOn(Coupon, 'findOne')
+      .mockResolvedValue(coupon({ perUserLimit: 1 }));
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(1);
+    const redeem = jest.spyOn(Coupon, 'redeem');
+
+    await expect(
+      couponController.redeemCoupon('summer', tour, id())
+    ).rejects.toThrow(
+      'You have already used the code SUMMER the maximum number of times.'
+    );
+    expect(redeem).not.toHaveBeenCalled();
+  });
+
+  it('refuses the redemption when the limit is reached in the meantime', async () => {
+    jest
+      .spyOn(Coupon, 'findOne')
+      .mockResolvedValue(coupon({ perUserLimit: 1 }));
+    jest.spyOn(Booking, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Coupon, 'redeem').mockResolvedValue(null);
+
+    await expect(
+      couponController.redeemCoupon('summer', tour, id())
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('takes the code off the total of all participants', () => {
+    const price = couponController.priceBooking(
+      { ...tour, priceDiscount: 100 },
+      2,
+      coupon()
+    );
+
+    expect(price).toEqual({
+      currency: 'USD',
+      unitPrice: 400,
+      subtotal: 800,
+      discount: 80,
+      total: 720,
+    });
+  });
+});
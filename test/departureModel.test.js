@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Departure = require('../models/departureModel');
+const Booking = require('../models/bookingModel');
+
+const id = () => new mongoose.Types.ObjectId();
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Departure seats', () => {
+  it('holds seats only on a departure that has not started and has room', () => {
+    const departureId = id();
+    const query = Departure.holdSeats(departureId, 3);
+
+    expect(query.getFilter()).toEqual({
+      _id: departureId,
+      startDate: { $gt: expect.any(Number) },
+      $expr: {
+        $lte: [{ $add: ['$seatsSold', '$seatsHeld', 3] }, '$capacity'],
+      },
+    });
+    expect(query.getUpdate()).toEqual({ $inc: { seatsHeld: 3 } });
+  });
+
+  it('turns held seats into sold seats', async () => {
+    const departureId = id();
+    const update = jest
+      .spyOn(Departure, 'findOneAndUpdate')
+      .mockResolvedValue({ seatsSold: 2 });
+
+    await Departure.confirmSeats(departureId, 2);
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: departureId, seatsHeld: { $gte: 2 } },
+      { $inc: { seatsHeld: -2, seatsSold: 2 } },
+      { new: true }
+    );
+  });
+
+  it('still sells the seats when the hold was already released', async () => {
+    const departureId = id();
+    jest.spyOn(Departure, 'findOneAndUpdate').mockResolvedValue(null);
+    const sell = jest
+      .spyOn(Departure, 'findByIdAndUpdate')
+      .mockResolvedValue({ seatsSold: 2 });
+
+    await Departure.confirmSeats(departureId, 2);
+
+    expect(sell).toHaveBeenCalledWith(
+      departureId,
+      { $inc: { seatsSold: 2 } },
+      { new: true }
+    );
+  });
+
+  it('never releases more seats than are held or sold', () => {
+    const departureId = id();
+
+    const hold = Departure.releaseHold(departureId, 2);
+    expect(hold.getFilter()).toEqual({
+      _id: departureId,
+      seatsHeld: { $gte: 2 },
+    });
+    expect(hold.getUpdate()).toEqual({ $inc: { seatsHeld: -2 } });
+
+    const sold = Departure.releaseSeats(departureId, 2);
+    expect(sold.getFilter()).toEqual({
+      _id: departureId,
+      seatsSold: { $gte: 2 },
+    });
+    expect(sold.getUpdate()).toEqual({ $inc: { seatsSold: -2 } });
+  });
+
+  it('counts seats remaining and sold out', () => {
+    const departure = new Departure({
+      tour: id(),
+      startDate: new Date(),
+      capacity: 5,
+      seatsSold: 3,
+      seatsHeld: 2,
+    });
+
+    expect(departure.seatsRemaining).toBe(0);
+    expect(departure.soldOut).toBe(true);
+  });
+});
+
+describe('Departure.syncWithTour', () => {
+  it('only removes departures of dropped dates without sales or bookings', async () => {
+    const tour = { _id: id(), startDates: [new Date()], maxGroupSize: 10 };
+    const unsold = id();
+    const booked = id();
+    const find = jest.spyOn(Departure, 'find').mockReturnValue({
+      select: () => Promise.resolve([{ _id: unsold }, { _id: booked }]),
+    });
+    jest.spyOn(Booking, 'distinct').mockResolvedValue([booked]);
+    const remove = jest.spyOn(Departure, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Departure, 'bulkWrite').mockResolvedValue({});
+
+    await Departure.syncWithTour(tour);
+
+    expect(find).toHaveBeenCalledWith({
+      tour: tour._id,
+      startDate: { $nin: tour.startDates },
+      seatsSold: 0,
+      seatsHeld: 0,
+    });
+    expect(remove).toHaveBeenCalledWith({
+      _id: { $in: [unsold] },
+      seatsSold: 0,
+      seatsHeld: 0,
+    });
+  });
+
+  it('creates a departure for every start date', async () => {
+    const tour = {
+      _id: id(),
+      startDates: [new Date('2030-01-01'), new Date('2030-02-01')],
+      maxGroupSize: 10,
+    };
+    jest
+      .spyOn(Departure, 'find')
+      .mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(Booking, 'distinct').mockResolvedValue([]);
+    const remove = jest.spyOn(Departure, 'deleteMany');
+    const write = jest.spyOn(Departure, 'bulkWrite').mockResolvedValue({});
+
+    await Departure.syncWithTour(tour);
+
+    expect(remove).not.toHaveBeenCalled();
+    expect(write.mock.calls[0][0]).toEqual(
+      tour.startDates.map((startDate) => ({
+        updateOne: {
+          filter: { tour: tour._id, startDate },
+          update: {
+            $setOnInsert: { capacity: 10, seatsSold: 0, seatsHeld: 0 },
+          },
+          upsert: true,
+        },
+      }))
+    );
+  });
+});
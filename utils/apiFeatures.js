@@ -1,18 +1,210 @@
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+const filterFields = require('./filterFields');
+const populateFields = require('./populateFields');
+
+// page size when ?limit isn't given, and the largest one that can be asked for
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// cursors are the sort value and id of the last document of a page, encoded so
+// clients treat them as opaque
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+// values go into the query as they are, so objects (eg. { $ne: null }) are not
+// allowed. Dates are ISO strings, and documents without the field have null.
+const isCursorValue = (value) =>
+  value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url'));
+    if (
+      isCursorValue(value) &&
+      typeof id === 'string' &&
+      mongoose.Types.ObjectId.isValid(id)
+    ) {
+      return { value, id };
+    }
+  } catch (err) {
+    // not a cursor we made
+  }
+  throw new AppError(
+    'Invalid cursor. Please use the next link of a page.',
+    400
+  );
+};
+
+// filter operators, eg. ?price[gte]=500, and the types of fields they work on
+const OPERATORS = {
+  eq: '$eq', // same as ?price=500
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in', // ?difficulty[in]=easy,medium
+  nin: '$nin',
+  exists: '$exists', // ?priceDiscount[exists]=true
+  prefix: '$regex', // ?name[prefix]=the (ignores case)
+};
+const RANGE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'];
+const TYPE_OPERATORS = {
+  Number: [...RANGE_OPERATORS, 'exists'],
+  Date: [...RANGE_OPERATORS, 'exists'],
+  String: ['eq', 'ne', 'in', 'nin', 'exists', 'prefix'],
+  Boolean: ['eq', 'ne', 'exists'],
+  ObjectID: ['eq', 'ne', 'in', 'nin', 'exists'],
+};
+const LIST_OPERATORS = ['in', 'nin'];
+
+// turn query string values into the field's type, undefined if they aren't
+// valid (already cast, so the filter also works in aggregations)
+const BOOLEANS = { true: true, false: false };
+const coercers = {
+  Number: (value) => (value === '' ? undefined : Number(value)),
+  Date: (value) => {
+    const date = new Date(/^\d+$/.test(value) ? value * 1 : value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  },
+  String: (value) => value,
+  Boolean: (value) => BOOLEANS[value],
+  ObjectID: (value) =>
+    mongoose.Types.ObjectId.isValid(value)
+      ? mongoose.Types.ObjectId(value)
+      : undefined,
+};
+const TYPE_NAMES = {
+  Number: 'a number',
+  Date: 'a date',
+  String: 'text',
+  Boolean: 'true or false',
+  ObjectID: 'an ID',
+};
+
+// comma separated (or repeated) query string values as one list
+const toList = (value) =>
+  []
+    .concat(value)
+    .map((el) => `${el}`.split(','))
+    .reduce((all, el) => all.concat(el), []);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields cursor pages can be sorted by: the id, and the fields that can be
+// filtered on which are selected by default. The cursor carries the value of
+// the field, so hidden ones (select: false) could leak through it.
+const cursorFields = (schema, modelName) =>
+  ['_id', ...(filterFields[modelName] || [])].filter((field) => {
+    const schemaType = schema.path(field);
+    return schemaType && schemaType.options.select !== false;
+  });
+
+// the type of a field, or of the values of an array field
+const typeOf = (schema, field) => {
+  const schemaType = schema.path(field);
+  if (!schemaType) return undefined;
+  return schemaType.caster ? schemaType.caster.instance : schemaType.instance;
+};
+
 class APIFeatures {
   constructor(query, queryString) {
     this.query = query;
     this.queryString = queryString;
   }
 
+  // Filters on the fields the model allows (utils/filterFields), eg.
+  // ?difficulty=easy&price[lte]=1000. Throws a 400 error listing every field,
+  // operator or value that can't be used.
   filter() {
     // eslint-disable-next-line node/no-unsupported-features/es-syntax
     const queryObj = { ...this.queryString };
-    const excludedFields = ['page', 'sort', 'limit', 'fields'];
+    const excludedFields = [
+      'page',
+      'sort',
+      'limit',
+      'fields',
+      'cursor',
+      'q',
+      'populate',
+    ];
     excludedFields.forEach((el) => delete queryObj[el]);
-    let queryStr = JSON.stringify(queryObj);
-    queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, (match) => `$${match}`);
 
-    this.query = this.query.find(JSON.parse(queryStr));
+    const { schema, modelName } = this.query.model;
+    const allowed = filterFields[modelName] || [];
+    const conditions = {};
+    const problems = [];
+
+    Object.entries(queryObj).forEach(([field, value]) => {
+      const type = allowed.includes(field) && typeOf(schema, field);
+      if (!TYPE_OPERATORS[type]) {
+        problems.push(`${field} can't be filtered on`);
+        return;
+      }
+
+      // ?price=500 is ?price[eq]=500
+      const operators =
+        value && typeof value === 'object' && !Array.isArray(value)
+          ? value
+          : { eq: value };
+
+      conditions[field] = {};
+      Object.entries(operators).forEach(([op, opValue]) => {
+        if (!TYPE_OPERATORS[type].includes(op)) {
+          problems.push(`${field}[${op}] is not a supported operator`);
+          return;
+        }
+        if (!LIST_OPERATORS.includes(op) && typeof opValue !== 'string') {
+          problems.push(
+            `${field}${
+              op === 'eq' ? '' : `[${op}]`
+            } takes one value, use ${field}[in] for several`
+          );
+          return;
+        }
+
+        // lists are comma separated (or repeated, eg. ?difficulty[in]=easy&difficulty[in]=medium)
+        const values = LIST_OPERATORS.includes(op)
+          ? toList(opValue)
+          : [opValue];
+        const coerce = op === 'exists' ? coercers.Boolean : coercers[type];
+        const coerced = values.map(coerce);
+        const invalid = values.filter(
+          (el, i) => coerced[i] === undefined || Number.isNaN(coerced[i])
+        );
+        if (invalid.length) {
+          problems.push(
+            `${field}[${op}] must be ${
+              op === 'exists' ? TYPE_NAMES.Boolean : TYPE_NAMES[type]
+            }, not '${invalid.join("', '")}'`
+          );
+          return;
+        }
+
+        if (op === 'prefix') {
+          conditions[field].$regex = `^${escapeRegExp(coerced[0])}`;
+          conditions[field].$options = 'i';
+        } else {
+          conditions[field][OPERATORS[op]] = LIST_OPERATORS.includes(op)
+            ? coerced
+            : coerced[0];
+        }
+      });
+    });
+
+    if (problems.length) {
+      throw new AppError(
+        `Invalid filter: ${problems.join('; ')}. ${
+          allowed.length
+            ? `Filters can be used on ${allowed.join(', ')}.`
+            : 'This list cannot be filtered.'
+        }`,
+        400
+      );
+    }
+
+    this.query = this.query.find(conditions);
 
     return this; // returns object itself, allowing chainging of methods
   }
@@ -21,6 +213,9 @@ class APIFeatures {
     if (this.queryString.sort) {
       const sortBy = this.queryString.sort.split(',').join(' ');
       this.query = this.query.sort(sortBy);
+    } else if (this.queryString.cursor !== undefined) {
+      // ids go up with the time documents are created, and createdAt may be hidden
+      this.query = this.query.sort('-_id');
     } else {
       this.query = this.query.sort('-createdAt');
     }
@@ -39,15 +234,195 @@ class APIFeatures {
     return this;
   }
 
+  // Populates the related documents the model allows (utils/populateFields),
+  // eg. ?populate=guides,reviews with all their allowed fields, or
+  // ?populate[guides]=name,photo with some of them. Nothing is populated
+  // otherwise. Throws a 400 error listing what can't be populated.
+  populate() {
+    const { populate } = this.queryString;
+    if (!populate) return this;
+
+    const { schema, modelName } = this.query.model;
+    const allowed = populateFields[modelName] || {};
+    const requested =
+      typeof populate === 'object' && !Array.isArray(populate)
+        ? populate
+        : toList(populate)
+            .filter(Boolean)
+            .reduce((all, path) => ({ ...all, [path]: '' }), {});
+    const options = [];
+    const problems = [];
+
+    Object.entries(requested).forEach(([path, fields]) => {
+      if (!allowed[path]) {
+        problems.push(`${path} can't be populated`);
+        return;
+      }
+
+      const selected = toList(fields).filter(Boolean);
+      const invalid = selected.filter((el) => !allowed[path].includes(el));
+      if (invalid.length) {
+        problems.push(
+          `${path} has no field ${invalid.join(', ')} (it has ${allowed[
+            path
+          ].join(', ')})`
+        );
+        return;
+      }
+
+      // related documents of a virtual (eg. a tour's reviews) are matched on their foreign field
+      const virtual = schema.virtualpath(path);
+      const select = [
+        ...(selected.length ? selected : allowed[path]),
+        virtual && virtual.options.foreignField,
+      ];
+      options.push({
+        path,
+        select: [...new Set(select.filter(Boolean))].join(' '),
+      });
+    });
+
+    if (problems.length) {
+      const paths = Object.keys(allowed);
+      throw new AppError(
+        `Invalid populate: ${problems.join('; ')}. ${
+          paths.length
+            ? `Related documents that can be populated are ${paths.join(', ')}.`
+            : 'Nothing can be populated here.'
+        }`,
+        400
+      );
+    }
+
+    this.query = this.query.populate(options);
+
+    return this;
+  }
+
+  // ?page=2&limit=20, or ?cursor for cursor pagination, which stays fast on
+  // large collections since it doesn't skip over the documents before the page
   paginate() {
-    const page = this.queryString.page * 1 || 1;
-    const limit = this.queryString.limit * 1 || 100;
-    const skip = (page - 1) * limit;
+    this.limit = Math.min(
+      Math.max(Math.floor(this.queryString.limit * 1) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    if (this.queryString.cursor !== undefined) return this.paginateByCursor();
+
+    this.page = Math.max(Math.floor(this.queryString.page * 1) || 1, 1);
+    const skip = (this.page - 1) * this.limit;
+
+    this.query = this.query.skip(skip).limit(this.limit);
+
+    return this;
+  }
+
+  // pages follow on from the last document of the page before, by the sort
+  // field and then the id (for documents with the same value)
+  paginateByCursor() {
+    const sortBy = `${this.queryString.sort || '-_id'}`.split(',');
+    if (sortBy.length > 1) {
+      throw new AppError(
+        'Cursor pagination can only sort by one field. Please use ?page instead.',
+        400
+      );
+    }
+    const descending = sortBy[0].startsWith('-');
+    this.cursorField = sortBy[0].replace(/^[-+]/, '');
+    const order = descending ? -1 : 1;
 
-    this.query = this.query.skip(skip).limit(limit);
+    const { schema, modelName } = this.query.model;
+    const allowed = cursorFields(schema, modelName);
+    if (!allowed.includes(this.cursorField)) {
+      throw new AppError(
+        `Cursor pages can't be sorted by ${
+          this.cursorField
+        }. Please sort by one of ${allowed.join(', ')}.`,
+        400
+      );
+    }
+
+    // the next cursor needs the field, also when ?fields leaves it out
+    const projection = this.query.projection() || {};
+    if (this.query.selectedInclusively()) {
+      this.query = this.query.select(this.cursorField);
+    } else if (projection[this.cursorField] === 0) {
+      throw new AppError(
+        `Cursor pages sorted by ${this.cursorField} need it in ?fields.`,
+        400
+      );
+    }
+
+    this.query = this.query.sort({ _id: order }).limit(this.limit + 1); // one more tells whether there is a next page
+
+    if (this.queryString.cursor) {
+      const { value, id } = decodeCursor(this.queryString.cursor);
+      const op = descending ? '$lt' : '$gt';
+      this.query = this.query.and([
+        {
+          $or: [
+            { [this.cursorField]: { [op]: value } },
+            { [this.cursorField]: value, _id: { [op]: id } },
+          ],
+        },
+      ]);
+    }
 
     return this;
   }
+
+  // Runs the query, resolves with the documents and the pagination of the
+  // response, with links to the next and previous pages. url: the request's
+  // originalUrl, for the links.
+  async paginated(url) {
+    const link = (params) => {
+      const next = new URL(url, 'http://localhost');
+      Object.entries(params).forEach(([key, value]) =>
+        next.searchParams.set(key, value)
+      );
+      return `${next.pathname}${next.search}`;
+    };
+
+    if (this.cursorField) {
+      const docs = await this.query;
+      const hasNext = docs.length > this.limit;
+      if (hasNext) docs.pop();
+      const last = docs[docs.length - 1];
+
+      return {
+        docs,
+        pagination: {
+          limit: this.limit,
+          next: hasNext
+            ? link({
+                cursor: encodeCursor(last.get(this.cursorField), last.id),
+              })
+            : null,
+        },
+      };
+    }
+
+    const [docs, total] = await Promise.all([
+      this.query,
+      this.query.model.countDocuments(this.query.getFilter()),
+    ]);
+    const pages = Math.ceil(total / this.limit);
+
+    return {
+      docs,
+      pagination: {
+        total,
+        pages,
+        page: this.page,
+        limit: this.limit,
+        next: this.page < pages ? link({ page: this.page + 1 }) : null,
+        prev:
+          this.page > 1
+            ? link({ page: Math.min(this.page - 1, Math.max(pages, 1)) })
+            : null,
+      },
+    };
+  }
 }
 
 module.exports = APIFeatures;
@@ -0,0 +1,3 @@
+// links in emails can be sent outside of a request, so the site's address is configured
+module.exports = () =>
+  process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
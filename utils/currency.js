@@ -0,0 +1,79 @@
+// Tours are priced in the base currency (BASE_CURRENCY, default USD) and converted
+// for display and checkout with the exchange rates admins keep in the database.
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// ISO 4217 codes of the currencies in use (Intl.supportedValuesOf needs Node 18)
+const CURRENCIES = `AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB
+  BRL BSD BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD
+  EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS
+  INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT LAK LBP LKR LRD
+  LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK
+  NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK
+  SGD SHP SLE SLL SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS
+  UAH UGX USD UYU UZS VED VES VND VUV WST XAF XCD XOF XPF YER ZAR ZMW ZWL`;
+
+const supported = new Set(CURRENCIES.split(/\s+/));
+
+exports.base = BASE_CURRENCY;
+
+exports.isSupported = (currency) =>
+  typeof currency === 'string' && supported.has(currency.toUpperCase());
+
+// number of decimals a currency is counted in, eg. 2 for USD (cents), 0 for JPY, 3 for KWD
+const fractionDigits = (currency) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+  }).resolvedOptions().maximumFractionDigits;
+
+// Stripe counts these differently from ISO 4217: they are sent in hundredths
+// but can only be charged in whole units, and three-decimal amounts have to end
+// in a 0. `digits` is what prices are rounded to, `minor` the decimals of the
+// amounts sent to the provider.
+const PROVIDER_DECIMALS = {
+  HUF: { digits: 0, minor: 2 },
+  ISK: { digits: 0, minor: 2 },
+  TWD: { digits: 0, minor: 2 },
+  UGX: { digits: 0, minor: 2 },
+  BHD: { digits: 2, minor: 3 },
+  JOD: { digits: 2, minor: 3 },
+  KWD: { digits: 2, minor: 3 },
+  OMR: { digits: 2, minor: 3 },
+  TND: { digits: 2, minor: 3 },
+};
+
+const decimals = (currency) => {
+  const digits = fractionDigits(currency);
+  return PROVIDER_DECIMALS[currency.toUpperCase()] || { digits, minor: digits };
+};
+
+exports.round = (amount, currency) => {
+  const factor = 10 ** decimals(currency).digits;
+  return Math.round(amount * factor) / factor;
+};
+
+// payment providers take amounts in minor units (cents, pence, yen...)
+exports.toMinorUnits = (amount, currency) =>
+  Math.round(exports.round(amount, currency) * 10 ** decimals(currency).minor);
+
+exports.fromMinorUnits = (amount, currency) =>
+  amount / 10 ** decimals(currency).minor;
+
+exports.format = (amount, currency, locale = 'en-US') =>
+  new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+  }).format(amount);
+
+// converts prices from the base currency into `currency`, at `rate` units of it per base unit
+exports.converter = (currency = BASE_CURRENCY, rate = 1) => {
+  const convert = (amount) => exports.round(amount * rate, currency);
+
+  return {
+    currency: currency.toUpperCase(),
+    rate,
+    convert,
+    format: (amount) => exports.format(convert(amount), currency),
+  };
+};
@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const pug = require('pug');
 const htmlToText = require('html-to-text');
+const currency = require('./currency');
 
 // use-case: new Email(user, url).sendWelcome();
 
@@ -29,9 +30,12 @@ module.exports = class Email {
   }
 
   // 3) Actually send the email
-  async send(template, subject) {
+  // locals: any extra data the template needs
+  // attachments: files for nodemailer, eg. [{ filename, content }]
+  async send(template, subject, locals = {}, attachments = []) {
     // 1) Render HTML email based on a pug template
     const html = pug.renderFile(`${__dirname}/../views/email/${template}.pug`, {
+      ...locals,
       firstName: this.firstName,
       url: this.url,
       subject,
@@ -44,6 +48,7 @@ module.exports = class Email {
       subject: subject,
       html: html,
       text: htmlToText.fromString(html),
+      attachments,
     };
 
     // 3) Create a transport and send email
@@ -54,10 +59,67 @@ module.exports = class Email {
     await this.send('welcome', 'Welcome to the Natours Family!');
   }
 
+  // to: the new address, when the email is being changed
+  async sendEmailVerification(to) {
+    if (to) this.to = to;
+    await this.send(
+      'emailVerification',
+      'Please confirm your email address (valid for 24 hours)'
+    );
+  }
+
   async sendPasswordReset() {
     await this.send(
       'passwordReset',
       'Your password reset token (valid for only 10 minutes)'
     );
   }
+
+  async sendErasureScheduled(scheduledFor) {
+    await this.send(
+      'erasureScheduled',
+      'Your Natours account will be deleted',
+      { scheduledFor }
+    );
+  }
+
+  async sendErasureCompleted() {
+    await this.send(
+      'erasureCompleted',
+      'Your Natours account has been deleted'
+    );
+  }
+
+  // lockedUntil: when logins are allowed again, ip: where the last attempt came from
+  async sendLoginLockout(lockedUntil, ip) {
+    await this.send(
+      'loginLockout',
+      'Your account was locked after failed login attempts',
+      { lockedUntil, ip }
+    );
+  }
+
+  async sendBookingConfirmation(booking, invoice, pdf) {
+    await this.send(
+      'bookingConfirmation',
+      `Your booking for ${booking.tour.name} is confirmed!`,
+      {
+        booking,
+        invoice,
+        total: currency.format(invoice.total, invoice.currency),
+      },
+      [{ filename: `${invoice.number}.pdf`, content: pdf }]
+    );
+  }
+
+  // price: formatted total for the offered seats
+  async sendWaitlistOffer(tour, departure, entry, price) {
+    await this.send('waitlistOffer', `A place on ${tour.name} is free!`, {
+      tour,
+      departure,
+      participants: entry.participants,
+      expiresAt: entry.offerExpiresAt,
+      price,
+    });
+  }
 };
@@ -0,0 +1,69 @@
+// The fields lists of each model can be filtered on (see APIFeatures.filter).
+// Anything else, eg. secretTour or a user's role, can't be used in a filter.
+module.exports = {
+  Tour: [
+    'name',
+    'slug',
+    'duration',
+    'maxGroupSize',
+    'difficulty',
+    'ratingsAverage',
+    'ratingsQuantity',
+    'price',
+    'priceDiscount',
+    'startDates',
+    'guides',
+  ],
+  Departure: ['tour', 'startDate', 'capacity', 'seatsSold', 'seatsHeld'],
+  Review: ['rating', 'tour', 'user', 'createdAt'],
+  Booking: [
+    'tour',
+    'departure',
+    'user',
+    'participants',
+    'price',
+    'currency',
+    'status',
+    'couponCode',
+    'createdAt',
+  ],
+  User: ['name', 'email', 'emailVerified', 'currency'],
+  ExchangeRate: ['currency', 'rate', 'updatedAt'],
+  Coupon: [
+    'code',
+    'type',
+    'amount',
+    'validFrom',
+    'validUntil',
+    'active',
+    'tours',
+    'difficulties',
+    'createdAt',
+  ],
+  LoginThrottle: [
+    'type',
+    'key',
+    'failures',
+    'lastFailureAt',
+    'lockedUntil',
+    'lockouts',
+    'createdAt',
+  ],
+  WebhookEvent: [
+    'eventId',
+    'type',
+    'status',
+    'attempts',
+    'createdAt',
+    'processedAt',
+  ],
+  AuditLog: [
+    'event',
+    'impersonator',
+    'user',
+    'session',
+    'method',
+    'statusCode',
+    'createdAt',
+  ],
+};
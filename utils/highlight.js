@@ -0,0 +1,64 @@
+// Marks the words of a search in text fields, like MongoDB's text search
+// matches them: ignoring case, negated words ("-word") and word endings.
+const SNIPPET_LENGTH = 160;
+// text shown before the first match in a snippet
+const SNIPPET_LEAD = 50;
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// the search's words, with endings like "hiking" -> "hik" cut off so they match "hike" as well
+const searchWords = (search) =>
+  `${search}`
+    .replace(/-"[^"]*"|-\S+/g, ' ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((el) => el.length >= 2)
+    .map((el) => (el.length > 4 ? el.replace(/(ing|ed|es|s)$/i, '') : el));
+
+// Returns a function that takes a document's [field, text] pairs and returns
+// a snippet for each field with a match, eg. [{ field, snippet }]. Snippets
+// are HTML, escaped, with matches in <mark>.
+module.exports = (search) => {
+  const words = searchWords(search);
+  if (!words.length) return () => [];
+  const match = new RegExp(
+    `((?<![\\p{L}\\p{N}])(?:${words.join('|')})[\\p{L}\\p{N}]*)`,
+    'iu'
+  );
+  const matches = new RegExp(match.source, 'giu');
+
+  const snippet = (text) => {
+    const index = text.search(match);
+    if (index === -1) return null;
+
+    // start and end at spaces, so words aren't cut in half
+    let start = Math.max(index - SNIPPET_LEAD, 0);
+    const startSpace = text.indexOf(' ', start);
+    if (start > 0 && startSpace !== -1 && startSpace < index) {
+      start = startSpace + 1;
+    }
+    let end = Math.min(start + SNIPPET_LENGTH, text.length);
+    const endSpace = text.lastIndexOf(' ', end);
+    if (end < text.length && endSpace > index) end = endSpace;
+
+    // split() keeps the matches at the odd indexes
+    const html = text
+      .slice(start, end)
+      .split(matches)
+      .map((el, i) =>
+        i % 2 ? `<mark>${escapeHtml(el)}</mark>` : escapeHtml(el)
+      )
+      .join('');
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+  };
+
+  return (pairs) => {
+    const highlights = [];
+    pairs.forEach(([field, text]) => {
+      if (!text || highlights.some((el) => el.field === field)) return;
+      const found = snippet(`${text}`);
+      if (found) highlights.push({ field, snippet: found });
+    });
+    return highlights;
+  };
+};
@@ -0,0 +1,79 @@
+const PDFDocument = require('pdfkit');
+const currency = require('./currency');
+
+const dateOptions = { day: 'numeric', month: 'long', year: 'numeric' };
+
+// renders an invoice as a PDF, resolves with the file's contents
+module.exports = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const format = (amount) => currency.format(amount, invoice.currency);
+    const row = (label, value, options = {}) => {
+      const { y } = doc;
+      doc
+        .font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, 50, y, { width: 340 })
+        .text(value, 400, y, { width: 145, align: 'right' })
+        .moveDown(0.5);
+    };
+
+    // 1) Header
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(24)
+      .fillColor('#55c57a')
+      .text('Natours');
+    doc
+      .fillColor('#444')
+      .fontSize(10)
+      .font('Helvetica')
+      .text(`Invoice ${invoice.number}`, { align: 'right' })
+      .text(`Issued ${invoice.issuedAt.toLocaleString('en-us', dateOptions)}`, {
+        align: 'right',
+      })
+      .moveDown(2);
+
+    // 2) Customer
+    doc
+      .font('Helvetica-Bold')
+      .text('Billed to')
+      .font('Helvetica')
+      .text(invoice.customer.name)
+      .text(invoice.customer.email || '') // not kept for erased accounts
+      .moveDown(2);
+
+    // 3) What was booked
+    const departing = invoice.startDate
+      ? `, departing ${invoice.startDate.toLocaleString('en-us', dateOptions)}`
+      : '';
+    row(
+      `${invoice.tour} tour${departing}\n${invoice.participants} × ${format(
+        invoice.unitPrice
+      )}`,
+      format(invoice.unitPrice * invoice.participants)
+    );
+    if (invoice.discount) {
+      row(
+        `Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`,
+        `-${format(invoice.discount)}`
+      );
+    }
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke('#ddd').moveDown(0.5);
+    row('Total paid', format(invoice.total), { bold: true });
+    row(`Of which tax (${invoice.taxRate}%)`, format(invoice.tax));
+
+    doc
+      .moveDown(2)
+      .fontSize(9)
+      .fillColor('#777')
+      .text('Thank you for booking with Natours!', 50, doc.y, {
+        align: 'center',
+      });
+
+    doc.end();
+  });
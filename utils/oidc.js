@@ -0,0 +1,147 @@
+const { Issuer, generators } = require('openid-client');
+const baseUrl = require('./baseUrl');
+
+// Known providers only need a client id and secret. Any other OpenID Connect
+// provider (eg. the company's) is found through its issuer URL.
+const PRESETS = {
+  google: {
+    label: 'Google',
+    issuer: 'https://accounts.google.com',
+  },
+  // GitHub only speaks OAuth2, its verified addresses come from another endpoint
+  github: {
+    label: 'GitHub',
+    metadata: {
+      issuer: 'https://github.com',
+      authorization_endpoint: 'https://github.com/login/oauth/authorize',
+      token_endpoint: 'https://github.com/login/oauth/access_token',
+      userinfo_endpoint: 'https://api.github.com/user',
+    },
+    scope: 'read:user user:email',
+    profile: async (client, tokenSet) => {
+      const user = await client.userinfo(tokenSet);
+      const { body } = await client.requestResource(
+        'https://api.github.com/user/emails',
+        tokenSet
+      );
+      const email = JSON.parse(body).find((el) => el.primary && el.verified);
+      return {
+        subject: `${user.id}`,
+        name: user.name || user.login,
+        email: email && email.email,
+        emailVerified: Boolean(email),
+      };
+    },
+  },
+};
+
+// Providers come from config.env: OIDC_PROVIDERS=google,company, and for each
+// OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_CLIENT_SECRET, plus OIDC_<NAME>_ISSUER
+// and optionally OIDC_<NAME>_LABEL and OIDC_<NAME>_SCOPE for other providers.
+const configured = () =>
+  `${process.env.OIDC_PROVIDERS || ''}`
+    .split(',')
+    .map((el) => el.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      const env = (key) => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+      const preset = PRESETS[name] || {};
+      return {
+        ...preset,
+        name,
+        label: env('LABEL') || preset.label || name,
+        issuer: env('ISSUER') || preset.issuer,
+        scope: env('SCOPE') || preset.scope || 'openid email profile',
+        clientId: env('CLIENT_ID'),
+        clientSecret: env('CLIENT_SECRET'),
+      };
+    })
+    .filter((el) => el.clientId && (el.issuer || el.metadata));
+
+// the providers to show on the login page
+exports.providers = () =>
+  configured().map(({ name, label }) => ({ name, label }));
+
+const redirectUri = (name) => `${baseUrl()}/login/${name}/callback`;
+
+// clients are set up once, the issuer's configuration is fetched the first time
+const clients = {};
+
+const getClient = (name) => {
+  const provider = configured().find((el) => el.name === name);
+  if (!provider) return null;
+
+  if (!clients[name]) {
+    clients[name] = (async () => {
+      const issuer = provider.metadata
+        ? new Issuer(provider.metadata)
+        : await Issuer.discover(provider.issuer);
+      const client = new issuer.Client({
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        redirect_uris: [redirectUri(name)],
+        response_types: ['code'],
+      });
+      return { provider, client };
+    })();
+    // try again next time, eg. when the provider was down
+    clients[name].catch(() => delete clients[name]);
+  }
+  return clients[name];
+};
+
+// Where to send the user to log in, and the checks to keep until they come
+// back. Returns null for providers that aren't configured.
+exports.authorizationUrl = async (name) => {
+  const configuredClient = await getClient(name);
+  if (!configuredClient) return null;
+  const { provider, client } = configuredClient;
+
+  const checks = {
+    state: generators.state(),
+    nonce: generators.nonce(),
+    codeVerifier: generators.codeVerifier(),
+  };
+  const url = client.authorizationUrl({
+    scope: provider.scope,
+    state: checks.state,
+    nonce: checks.nonce,
+    code_challenge: generators.codeChallenge(checks.codeVerifier),
+    code_challenge_method: 'S256',
+  });
+
+  return { url, checks };
+};
+
+// Finishes the login when the provider redirects back, resolves with the
+// user's { subject, email, emailVerified, name } at the provider.
+exports.callback = async (name, req, checks) => {
+  const configuredClient = await getClient(name);
+  if (!configuredClient) return null;
+  const { provider, client } = configuredClient;
+
+  const params = client.callbackParams(req);
+  const options = {
+    state: checks.state,
+    nonce: checks.nonce,
+    code_verifier: checks.codeVerifier,
+  };
+
+  if (provider.profile) {
+    const tokenSet = await client.oauthCallback(
+      redirectUri(name),
+      params,
+      options
+    );
+    return provider.profile(client, tokenSet);
+  }
+
+  const tokenSet = await client.callback(redirectUri(name), params, options);
+  const claims = tokenSet.claims();
+  return {
+    subject: claims.sub,
+    name: claims.name,
+    email: claims.email,
+    emailVerified: claims.email_verified === true,
+  };
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+
+// Set in config.env: PASSWORD_MIN_LENGTH (default 8), PASSWORD_HISTORY, the
+// number of previous passwords that can't be used again (default 5), and
+// BREACHED_PASSWORDS_FILE to check against another list of breached passwords.
+exports.minLength = process.env.PASSWORD_MIN_LENGTH * 1 || 8;
+// bcrypt ignores everything after 72 bytes
+exports.maxBytes = 72;
+exports.history =
+  process.env.PASSWORD_HISTORY === undefined
+    ? 5
+    : process.env.PASSWORD_HISTORY * 1;
+
+const BREACHED_PASSWORDS_FILE =
+  process.env.BREACHED_PASSWORDS_FILE || `${__dirname}/breachedPasswords.txt`;
+
+// SHA-1 hashes of the breached passwords, read the first time they are needed
+let breached;
+
+const loadBreached = () => {
+  breached = new Set(
+    fs
+      .readFileSync(BREACHED_PASSWORDS_FILE, 'utf-8')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'))
+      .map((line) => line.split(':')[0].toUpperCase())
+  );
+  return breached;
+};
+
+exports.isBreached = (password) => {
+  const hash = crypto.createHash('sha1').update(`${password}`).digest('hex');
+  return (breached || loadBreached()).has(hash.toUpperCase());
+};
+
+// whether the password contains the user's name (or a part of it) or the
+// part of their email address before the @
+exports.containsPersonalInfo = (password, { name, email }) => {
+  const lowerCasePassword = `${password}`.toLowerCase();
+  const parts = [
+    ...`${name || ''}`.split(/\s+/),
+    `${email || ''}`.split('@')[0],
+  ];
+  return parts
+    .map((el) => el.toLowerCase())
+    .filter((el) => el.length >= 3)
+    .some((el) => lowerCasePassword.includes(el));
+};
+
+// whether the password is one of the previous ones (the hashes of the passwordHistory)
+exports.isReused = async (password, hashes = []) => {
+  const matches = await Promise.all(
+    hashes.map((hash) => bcrypt.compare(`${password}`, hash))
+  );
+  return matches.some(Boolean);
+};
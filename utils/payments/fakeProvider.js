@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Offline payment provider for development and tests. Checkout sessions are kept
+// in memory and paid on our own /fake-checkout page, which then sends signed
+// webhooks back to /webhook-checkout just like Stripe would.
+
+const SIGNATURE_HEADER = 'fake-signature';
+const SIGNATURE_TOLERANCE = 5 * 60; // seconds
+
+const sessions = new Map();
+
+const secret = () =>
+  process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'whsec_fake_development_secret';
+
+const randomId = (prefix) =>
+  `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (payload, timestamp) =>
+  crypto
+    .createHmac('sha256', secret())
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+const sendWebhook = async (origin, type, object) => {
+  const payload = JSON.stringify({
+    id: randomId('evt'),
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object },
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  await axios.post(`${origin}/webhook-checkout`, payload, {
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(payload, timestamp)}`,
+    },
+    // a failed event is recorded by the webhook handler, the caller doesn't need to fail too
+    validateStatus: () => true,
+  });
+};
+
+exports.name = 'fake';
+
+exports.getSession = (id) => sessions.get(id);
+
+exports.createCheckout = async ({
+  customerEmail,
+  reference,
+  metadata,
+  currency,
+  item,
+  discount,
+  successUrl,
+  cancelUrl,
+  expiresAt,
+}) => {
+  const { origin } = new URL(successUrl);
+  const id = randomId('cs');
+  const amountDiscount = discount ? discount.amount : 0;
+
+  const session = {
+    id,
+    object: 'checkout.session',
+    url: `${origin}/fake-checkout/${id}`,
+    status: 'open',
+    payment_status: 'unpaid',
+    customer_email: customerEmail,
+    client_reference_id: reference,
+    metadata,
+    currency,
+    line_items: [item],
+    amount_subtotal: item.unitAmount * item.quantity,
+    amount_total: item.unitAmount * item.quantity - amountDiscount,
+    total_details: { amount_discount: amountDiscount },
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    expires_at: Math.floor(expiresAt / 1000),
+    payment_intent: null,
+  };
+  sessions.set(id, session);
+
+  // expire unpaid sessions like Stripe does, so held seats get released
+  const timer = setTimeout(() => {
+    exports.expireCheckout(id).catch((err) => console.log('ERROR', err));
+  }, expiresAt - Date.now());
+  timer.unref();
+
+  return session;
+};
+
+// called from the fake checkout page when the customer pays
+exports.completeCheckout = async (id) => {
+  const session = sessions.get(id);
+  if (!session || session.status !== 'open') return session;
+
+  session.status = 'complete';
+  session.payment_status = 'paid';
+  session.payment_intent = randomId('pi');
+  session.amount_refunded = 0;
+
+  await sendWebhook(
+    new URL(session.success_url).origin,
+    'checkout.session.completed',
+    session
+  );
+  return session;
+};
+
+exports.expireCheckout = async (id) => {
+  const session = sessions.get(id);
+  if (!session || session.status !== 'open') return session;
+
+  session.status = 'expired';
+
+  await sendWebhook(
+    new URL(session.success_url).origin,
+    'checkout.session.expired',
+    session
+  );
+  return session;
+};
+
+exports.verifyWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER] || '';
+  const { t: timestamp, v1: signature } = Object.fromEntries(
+    header.split(',').map((el) => el.split('='))
+  );
+
+  if (!timestamp || !signature) {
+    throw new Error('No signature found in the request headers');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE) {
+    throw new Error('Timestamp outside the tolerance zone');
+  }
+
+  const expected = Buffer.from(sign(rawBody.toString(), timestamp));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new Error('Signature does not match the payload');
+  }
+
+  return JSON.parse(rawBody.toString());
+};
+
+exports.refund = async ({ paymentIntent, amount }) => {
+  const session = [...sessions.values()].find(
+    (el) => el.payment_intent === paymentIntent
+  );
+  if (!session) throw new Error(`No such payment: ${paymentIntent}`);
+
+  session.amount_refunded += amount;
+  const refund = {
+    id: randomId('re'),
+    object: 'refund',
+    payment_intent: paymentIntent,
+    amount,
+    status: 'succeeded',
+  };
+
+  // like Stripe, the charge.refunded webhook arrives after the refund call has returned
+  setImmediate(() => {
+    sendWebhook(new URL(session.success_url).origin, 'charge.refunded', {
+      id: randomId('ch'),
+      object: 'charge',
+      payment_intent: paymentIntent,
+      currency: session.currency,
+      amount: session.amount_total,
+      amount_refunded: session.amount_refunded,
+      refunded: session.amount_refunded >= session.amount_total,
+    }).catch((err) => console.log('ERROR', err));
+  });
+
+  return refund;
+};
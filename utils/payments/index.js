@@ -0,0 +1,32 @@
+// Payment gateway used by the booking flow, selected with PAYMENT_PROVIDER ('stripe' or 'fake').
+//
+// Every provider exposes the same interface:
+//   name
+//   createCheckout({ customerEmail, reference, metadata, currency, item, discount, successUrl, cancelUrl, expiresAt })
+//     -> checkout session ({ id, url, ... }), `item` is { name, description, images, unitAmount, quantity }
+//        and the optional `discount` is { name, amount } taken off the total
+//   verifyWebhook(rawBody, headers)
+//     -> event ({ id, type, data: { object } }), throws if the signature is invalid
+//   refund({ paymentIntent, amount })
+//     -> refund ({ id, ... })
+// Amounts are in the currency's minor units (eg. cents, see utils/currency). Sessions, events and charges
+// have the same shape as Stripe's, so the webhook handlers work with any provider.
+
+const stripeProvider = require('./stripeProvider');
+const fakeProvider = require('./fakeProvider');
+
+const providers = {
+  stripe: stripeProvider,
+  fake: fakeProvider,
+};
+
+const name = process.env.PAYMENT_PROVIDER || 'stripe';
+if (!providers[name]) {
+  throw new Error(
+    `Unknown PAYMENT_PROVIDER "${name}". Use one of: ${Object.keys(
+      providers
+    ).join(', ')}`
+  );
+}
+
+module.exports = providers[name];
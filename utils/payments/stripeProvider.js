@@ -0,0 +1,67 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+exports.name = 'stripe';
+
+exports.createCheckout = async ({
+  customerEmail,
+  reference,
+  metadata,
+  currency,
+  item,
+  discount,
+  successUrl,
+  cancelUrl,
+  expiresAt,
+}) => {
+  // our coupons are checked on our side, Stripe only gets a one-off coupon for the amount
+  const discounts = [];
+  if (discount && discount.amount > 0) {
+    const coupon = await stripe.coupons.create({
+      name: discount.name,
+      amount_off: discount.amount,
+      currency: currency.toLowerCase(),
+      duration: 'once',
+      max_redemptions: 1,
+    });
+    discounts.push({ coupon: coupon.id });
+  }
+
+  return stripe.checkout.sessions.create({
+    payment_method_types: ['card'],
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    customer_email: customerEmail,
+    client_reference_id: reference,
+    metadata,
+    expires_at: Math.floor(expiresAt / 1000),
+    line_items: [
+      {
+        quantity: item.quantity,
+        price_data: {
+          currency: currency.toLowerCase(),
+          unit_amount: item.unitAmount,
+          product_data: {
+            name: item.name,
+            description: item.description,
+            images: item.images,
+          },
+        },
+      },
+    ],
+    discounts,
+    mode: 'payment',
+  });
+};
+
+exports.verifyWebhook = (rawBody, headers) =>
+  stripe.webhooks.constructEvent(
+    rawBody,
+    headers['stripe-signature'],
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+
+exports.refund = ({ paymentIntent, amount }) =>
+  stripe.refunds.create({
+    payment_intent: paymentIntent,
+    amount,
+  });
@@ -0,0 +1,119 @@
+const Tour = require('../models/tourModel');
+
+// Who may do what to the documents of each model. For every action, the roles
+// that may do it map to ALL (any document) or to a function that resolves with
+// the filter of the documents they may do it to. PUBLIC actions are open to
+// anyone, also without logging in. Anything not listed here is not allowed.
+const PUBLIC = 'public';
+const ALL = true;
+
+// documents that belong to the user
+const own =
+  (field = 'user') =>
+  (user) => ({ [field]: user._id });
+
+// the user's own account
+const self = (user) => ({ _id: user._id });
+
+// documents of the tours the user is a guide of
+const guidedTours = async (user) => ({
+  tour: { $in: await Tour.distinct('_id', { guides: user._id }) },
+});
+
+const ADMIN_ONLY = { admin: ALL };
+const OWNER_OR_ADMIN = {
+  admin: ALL,
+  'lead-guide': own(),
+  guide: own(),
+  user: own(),
+};
+const TOUR_STAFF = { admin: ALL, 'lead-guide': ALL };
+
+const policies = {
+  Tour: {
+    read: PUBLIC,
+    create: TOUR_STAFF,
+    update: { ...TOUR_STAFF, guide: own('guides') },
+    delete: TOUR_STAFF,
+    readMonthlyPlan: { ...TOUR_STAFF, guide: ALL },
+  },
+  Departure: {
+    read: PUBLIC,
+    create: TOUR_STAFF,
+    update: TOUR_STAFF,
+    delete: TOUR_STAFF,
+  },
+  Waitlist: {
+    read: TOUR_STAFF,
+    update: TOUR_STAFF,
+    leave: OWNER_OR_ADMIN,
+  },
+  Review: {
+    read: PUBLIC,
+    create: { user: ALL },
+    update: { admin: ALL, user: own() },
+    delete: { admin: ALL, user: own() },
+  },
+  Booking: {
+    read: { admin: ALL, 'lead-guide': guidedTours, user: own() },
+    create: ADMIN_ONLY,
+    update: ADMIN_ONLY,
+    delete: ADMIN_ONLY,
+    cancel: OWNER_OR_ADMIN,
+    readInvoice: OWNER_OR_ADMIN,
+  },
+  User: {
+    read: { admin: ALL, 'lead-guide': self, guide: self, user: self },
+    create: ADMIN_ONLY,
+    update: ADMIN_ONLY,
+    delete: ADMIN_ONLY,
+    impersonate: ADMIN_ONLY,
+  },
+  ApiKey: {
+    use: TOUR_STAFF,
+    create: TOUR_STAFF,
+    read: { admin: ALL, 'lead-guide': own() },
+    delete: { admin: ALL, 'lead-guide': own() },
+  },
+  ExchangeRate: {
+    read: PUBLIC,
+    create: ADMIN_ONLY,
+    update: ADMIN_ONLY,
+    delete: ADMIN_ONLY,
+  },
+  Coupon: {
+    read: ADMIN_ONLY,
+    create: ADMIN_ONLY,
+    update: ADMIN_ONLY,
+    delete: ADMIN_ONLY,
+  },
+  LoginThrottle: {
+    read: ADMIN_ONLY,
+    delete: ADMIN_ONLY,
+  },
+  WebhookEvent: {
+    read: ADMIN_ONLY,
+    update: ADMIN_ONLY,
+  },
+  AuditLog: {
+    read: ADMIN_ONLY,
+  },
+};
+
+const ruleFor = (user, model, action) => {
+  const rules = (policies[model] || {})[action];
+  if (rules === PUBLIC) return ALL;
+  if (!rules || !user) return undefined;
+  return rules[user.role];
+};
+
+// whether the user may do the action to (some of) the model's documents
+exports.can = (user, model, action) => Boolean(ruleFor(user, model, action));
+
+// resolves with the filter of the documents the user may do the action to, null if none
+exports.filterFor = async (user, model, action) => {
+  const rule = ruleFor(user, model, action);
+  if (!rule) return null;
+  if (rule === ALL) return {};
+  return rule(user);
+};
@@ -0,0 +1,29 @@
+// The related documents of each model that can be populated (see
+// APIFeatures.populate), and the fields of them that can be asked for. Without
+// a list of fields, all the ones listed here are populated.
+module.exports = {
+  Tour: {
+    guides: ['name', 'photo', 'role'],
+    reviews: ['review', 'rating', 'user', 'createdAt'],
+    departures: ['startDate', 'capacity', 'seatsSold', 'seatsHeld'],
+  },
+  Departure: {
+    tour: ['name', 'slug', 'duration', 'difficulty', 'price'],
+  },
+  Review: {
+    user: ['name', 'photo'],
+    tour: ['name', 'slug'],
+  },
+  Booking: {
+    user: ['name', 'email', 'photo'],
+    tour: ['name', 'slug', 'duration', 'price'],
+    departure: ['startDate'],
+  },
+  Coupon: {
+    tours: ['name', 'slug'],
+  },
+  AuditLog: {
+    impersonator: ['name', 'email', 'role'],
+    user: ['name', 'email', 'role'],
+  },
+};
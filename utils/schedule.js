@@ -0,0 +1,13 @@
+// runs a background job every `interval` milliseconds, logging failures instead of crashing
+module.exports = (name, fn, interval) => {
+  const timer = setInterval(async () => {
+    try {
+      await fn();
+    } catch (err) {
+      console.log(`JOB FAILED: ${name}`, err);
+    }
+  }, interval);
+  timer.unref(); // don't keep the process alive just for the jobs
+
+  return timer;
+};